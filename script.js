@@ -1,29 +1,80 @@
-// Import Firestore functions (assuming v9 modular SDK loaded in HTML)
-// Access the initialized db instance from the window object
-const db = window.firebaseDB;
-import {
-  collection,
-  query,
-  where,
-  getDocs,
-  onSnapshot,
-  doc,
-  updateDoc,
-  addDoc,
-  deleteDoc,
-  Timestamp, // Import Timestamp for date fields
-  writeBatch // Import writeBatch for bulk operations like clear-db
-} from "https://www.gstatic.com/firebasejs/9.6.10/firebase-firestore.js";
+// The Firebase SDK is loaded with import() only for the Firestore backend (see createStorage()),
+// so local mode works without network. The instances come from window.initializeFirebase() in index.html.
+const firebaseSdkUrl = "https://www.gstatic.com/firebasejs/9.6.10";
+let db = null;
+let auth = null;
+let fileStorage = null; // Firebase Storage, holds attached solution files
+let firestoreSdk = null; // firebase-firestore.js module
+let authSdk = null; // firebase-auth.js module
+let storageSdk = null; // firebase-storage.js module
+
+/* Stand-in for Firestore's Timestamp while the SDK isn't loaded (local mode), with the methods the
+   app uses. createStorage() replaces it with the SDK's class for the Firestore backend. */
+class LocalTimestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return LocalTimestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return LocalTimestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new LocalTimestamp(seconds, Math.floor((millis - seconds * 1000) * 1e6));
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + this.nanoseconds / 1e6;
+  }
+
+  isEqual(other) {
+    return other instanceof LocalTimestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+
+  // Like Firestore's: a string that sorts in time order, so < and > compare timestamps
+  valueOf() {
+    return `${String(this.seconds + 62135596800).padStart(12, '0')}.${String(this.nanoseconds).padStart(9, '0')}`;
+  }
+
+  toJSON() {
+    return { seconds: this.seconds, nanoseconds: this.nanoseconds };
+  }
+}
+let Timestamp = LocalTimestamp; // Firestore Timestamp class for date fields
 
 // --- Global Variables ---
 const collectionName = "dashboard_items"; // Your Firestore collection name
-const itemsCollectionRef = collection(db, collectionName);
-let dashboardItems = []; // Local cache of items from Firestore
+let catalogueItems = []; // Raw task documents from the dashboard_items collection
+let serverProgressByCodeFull = {}; // Progress documents as last received from Firestore, keyed by codeFull
+let serverAttemptsByCodeFull = {}; // Attempt documents as last received from Firestore, keyed by codeFull
+let progressByCodeFull = {}; // Progress of the signed-in user including queued writes, keyed by codeFull
+let attemptsByCodeFull = {}; // Completion attempts of the signed-in user including queued ones, keyed by codeFull (oldest first)
+let dashboardItems = []; // Local cache of catalogue items merged with the signed-in user's progress
+let currentUser = null; // Firebase Auth user, null when signed out
 let currentItemId = null; // Store the Firestore ID of the item being interacted with
 let filterUnfinishedActive = false;
+let expandedCodeFulls = new Set(); // codeFull groups expanded in the table (kept for the session)
+let filterDueTodayActive = false; // Only show tasks whose spaced-repetition review is due by the end of today
 let showingSingleRandomTask = false; // Flag for single task display mode
 let currentSearchTerm = ""; // Store current search term
+const hiddenItemFields = ["id", "attemptHistory"]; // Item fields never shown as table columns
 let unsubscribeSnapshot = null; // To detach the listener later if needed
+let unsubscribeProgressSnapshot = null; // Listener for the signed-in user's progress documents
+let unsubscribeAttemptsSnapshot = null; // Listener for the signed-in user's attempt documents
+let unsubscribeSettingsSnapshot = null; // Listener for the signed-in user's settings document
+let unsubscribeNotesSnapshot = null; // Listener for the signed-in user's notes documents
+let unsubscribeMockExamsSnapshot = null; // Listener for the signed-in user's mock exam sessions
+let unsubscribeActivitySnapshot = null; // Listener for the signed-in user's activity log
 
 // --- Helper Functions ---
 
@@ -81,6 +132,376 @@ function formatDate(dateInput) {
   return `${year}-${month}-${day} ${hour}:${minute}`;
 }
 
+/* Parse a 'finished' value into a list of JS Dates. Older data stores several completions as a
+   comma-separated string, so this can return more than one date. Invalid parts are skipped. */
+function getFinishedDates(finishedValue) {
+  if (!finishedValue || (typeof finishedValue === 'string' && finishedValue.trim() === '')) return [];
+  const parts = typeof finishedValue === 'string'
+    ? finishedValue.split(',').map(s => s.trim()).filter(s => s !== '')
+    : [finishedValue];
+  return parts
+    .map(part => {
+      if (part instanceof Timestamp) return part.toDate();
+      if (part instanceof Date) return part;
+      return new Date(part);
+    })
+    .filter(date => {
+      const isValid = !isNaN(date.getTime());
+      if (!isValid) console.warn("Could not parse 'finished' value:", finishedValue);
+      return isValid;
+    });
+}
+
+/* Parse a dateRelease value into a Date. BIFIE releases are stored as YY.MM numbers (19.05 = May 2019). */
+function parseReleaseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Timestamp) return value.toDate();
+  const number = Number(value);
+  if (!isNaN(number)) {
+    const year = Math.floor(number);
+    const month = Math.round((number - year) * 100);
+    if (month < 1 || month > 12) return null;
+    return new Date(year < 100 ? 2000 + year : year, month - 1, 1);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Sub-item of a codeFull group, e.g. "A_280 b" (stored in the 'Code_section' column of the BIFIE data)
+function getSubItemKey(item) {
+  return item.codeSection != null && item.codeSection !== '' ? String(item.codeSection) : item.id;
+}
+
+// Syllabus section of a task row, e.g. "1.3" (stored in the 'Insert Item' column of the BIFIE data)
+function getItemSection(item) {
+  return item.insertItem != null ? String(item.insertItem) : '';
+}
+
+// Compare strings so that "2.10" sorts after "2.9" and "A_067" before "A_280"
+function naturalCompare(a, b) {
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Escape a value for safe use inside innerHTML templates
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+
+// --- Storage Adapters ---
+// All reads and writes go through `storage`, so the dashboard runs either against Firestore or
+// entirely inside this browser (no Firebase project needed). Documents are addressed by path
+// segments, e.g. ["users", uid, "progress", codeFull]. Every adapter provides:
+//   name, isLocal
+//   watchUser(callback) -> unsubscribe                  Calls back with the signed-in user or null
+//   listenCollection(path, onDocs, onError) -> unsubscribe   onDocs([{ id, ...data }], { fromCache, changes })
+//                                                       changes: [{ type: 'added'|'modified'|'removed', id }], null on the first call
+//   newDocId(collectionPath) -> string
+//   commitWrites([{ type: 'set'|'update'|'delete', path, data, merge }]) -> Promise<number>
+//   transact(async tx => ...)                           tx.get(path) -> data|null, tx.set(path, data, { merge }), tx.update(path, data), tx.delete(path)
+//   serverTime()                                        Value stored as updatedAt
+//   uploadFile(path, file), getFileUrl(path) -> url, deleteFile(path)   Attachment files, path like "users/{uid}/attachments/..."
+
+const storageBackendKey = "dashsy.storageBackend"; // localStorage key: 'firestore' or 'local'
+const localStoragePrefix = "dashsy.local."; // localStorage key prefix for the local backend, followed by the collection path
+const localUser = { uid: "local", email: null, isAnonymous: false }; // The only user of the local backend
+const FIRESTORE_BATCH_LIMIT = 500; // Maximum number of writes allowed in a single batch
+const localFileDbName = "dashsy-files"; // IndexedDB database holding the local backend's attachment files
+
+/* Timestamps are stored as { __timestamp: millis }. The replacer reads the original value from the
+   holder because JSON.stringify calls Timestamp.toJSON() before the replacer sees it. */
+function timestampReplacer(key, value) {
+  const original = this[key];
+  return original instanceof Timestamp ? { __timestamp: original.toMillis() } : value;
+}
+
+function timestampReviver(key, value) {
+  return value && typeof value === 'object' && typeof value.__timestamp === 'number'
+    ? Timestamp.fromMillis(value.__timestamp)
+    : value;
+}
+
+function generateLocalId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function createFirestoreStorage() {
+  return {
+    name: 'firestore',
+    isLocal: false,
+    watchUser: (callback) => authSdk.onAuthStateChanged(auth, callback),
+    listenCollection(path, onDocs, onError) {
+      // Metadata changes tell whether the data comes from the server or only from the offline cache
+      let isFirstSnapshot = true;
+      const { onSnapshot, query, collection } = firestoreSdk;
+      return onSnapshot(query(collection(db, ...path)), { includeMetadataChanges: true }, (querySnapshot) => {
+        const docs = querySnapshot.docs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() }));
+        // docChanges() is empty for a snapshot that only changed metadata
+        const changes = isFirstSnapshot ? null : querySnapshot.docChanges().map(change => ({ type: change.type, id: change.doc.id }));
+        isFirstSnapshot = false;
+        onDocs(docs, { fromCache: querySnapshot.metadata.fromCache, changes });
+      }, onError);
+    },
+    newDocId: (path) => firestoreSdk.doc(firestoreSdk.collection(db, ...path)).id, // Auto-generated ID, nothing is written
+    // Split into batches of at most FIRESTORE_BATCH_LIMIT writes
+    async commitWrites(writes) {
+      const { writeBatch, doc } = firestoreSdk;
+      for (let start = 0; start < writes.length; start += FIRESTORE_BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        const chunk = writes.slice(start, start + FIRESTORE_BATCH_LIMIT);
+        chunk.forEach(({ type, path, data, merge }) => {
+          const docRef = doc(db, ...path);
+          if (type === 'delete') batch.delete(docRef);
+          else if (type === 'update') batch.update(docRef, data);
+          else batch.set(docRef, data, { merge: Boolean(merge) });
+        });
+        await batch.commit();
+        console.log(`Committed batch of ${chunk.length} writes (${start + chunk.length}/${writes.length}).`);
+      }
+      return writes.length;
+    },
+    transact(updateFunction) {
+      const { runTransaction, doc } = firestoreSdk;
+      return runTransaction(db, (transaction) => updateFunction({
+        get: async (path) => {
+          const snapshot = await transaction.get(doc(db, ...path));
+          return snapshot.exists() ? snapshot.data() : null;
+        },
+        set: (path, data, options) => transaction.set(doc(db, ...path), data, { merge: Boolean(options?.merge) }),
+        update: (path, data) => transaction.update(doc(db, ...path), data),
+        delete: (path) => transaction.delete(doc(db, ...path))
+      }));
+    },
+    serverTime: () => firestoreSdk.serverTimestamp(),
+    async uploadFile(path, file) {
+      if (!fileStorage) throw Object.assign(new Error("Firebase Storage is not initialized"), { code: 'unavailable' });
+      await storageSdk.uploadBytes(storageSdk.ref(fileStorage, path), file, { contentType: file.type });
+    },
+    getFileUrl: (path) => storageSdk.getDownloadURL(storageSdk.ref(fileStorage, path)),
+    deleteFile: (path) => storageSdk.deleteObject(storageSdk.ref(fileStorage, path))
+  };
+}
+
+// Merge like Firestore's set(..., { merge: true }): nested maps are merged, everything else replaced
+function mergeDocData(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([field, value]) => {
+    const isMap = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Timestamp);
+    merged[field] = isMap ? mergeDocData(merged[field] && typeof merged[field] === 'object' ? merged[field] : {}, value) : value;
+  });
+  return merged;
+}
+
+/* Local backend: every collection is one JSON object in localStorage ({ docId: data }). The catalogue
+   is filled from the bundled data/data_bifie.db the first time it is read. Other tabs are kept in
+   sync through the 'storage' event. */
+function createLocalStorage() {
+  const collections = {}; // Collection path -> { docId: data }, read from localStorage on first use
+  const subscribers = {}; // Collection path -> Set of onDocs callbacks
+  let cataloguePromise = null;
+  let fileDbPromise = null;
+
+  function readCollection(collectionPath) {
+    if (!collections[collectionPath]) {
+      try {
+        collections[collectionPath] = JSON.parse(localStorage.getItem(localStoragePrefix + collectionPath) || '{}', timestampReviver);
+      } catch (error) {
+        console.warn(`Could not read local collection ${collectionPath}, starting empty.`, error);
+        collections[collectionPath] = {};
+      }
+    }
+    return collections[collectionPath];
+  }
+
+  function saveCollection(collectionPath) {
+    localStorage.setItem(localStoragePrefix + collectionPath, JSON.stringify(collections[collectionPath], timestampReplacer));
+  }
+
+  // `changes` like Firestore's docChanges(), null when unknown (another tab replaced the collection)
+  function notify(collectionPath, changes = null) {
+    const docs = Object.entries(readCollection(collectionPath)).map(([id, data]) => ({ id, ...data }));
+    (subscribers[collectionPath] || new Set()).forEach(onDocs => onDocs(docs, { fromCache: false, changes }));
+  }
+
+  const splitPath = (path) => ({ collectionPath: path.slice(0, -1).join('/'), id: path[path.length - 1] });
+
+  async function seedCatalogue() {
+    if (localStorage.getItem(localStoragePrefix + collectionName) !== null) return;
+    console.log(`Local storage is empty, loading the catalogue from ${BUNDLED_DB_PATH}...`);
+    const response = await fetch(BUNDLED_DB_PATH);
+    if (!response.ok) throw new Error(`HTTP ${response.status} while fetching ${BUNDLED_DB_PATH}`);
+    const items = await readSqliteItems(await response.arrayBuffer());
+    const catalogue = {};
+    items.forEach(item => {
+      const data = {};
+      catalogueFields.forEach(field => { data[field] = item[field] ?? null; });
+      catalogue[generateLocalId()] = data;
+    });
+    collections[collectionName] = catalogue;
+    saveCollection(collectionName);
+    console.log(`Stored ${items.length} tasks locally.`);
+  }
+
+  // Attachment files are too big for localStorage, they are kept as Blobs in IndexedDB (path -> Blob)
+  function openFileDb() {
+    fileDbPromise = fileDbPromise || new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(Object.assign(new Error("IndexedDB is not available in this browser"), { code: 'unavailable' }));
+        return;
+      }
+      const request = indexedDB.open(localFileDbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('files');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return fileDbPromise;
+  }
+
+  async function runFileRequest(mode, makeRequest) {
+    const fileDb = await openFileDb();
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(fileDb.transaction('files', mode).objectStore('files'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (!event.key || !event.key.startsWith(localStoragePrefix)) return;
+    const collectionPath = event.key.slice(localStoragePrefix.length);
+    delete collections[collectionPath]; // Re-read the other tab's version
+    notify(collectionPath);
+  });
+
+  const adapter = {
+    name: 'local',
+    isLocal: true,
+    watchUser(callback) {
+      setTimeout(() => callback(localUser), 0); // Asynchronous like onAuthStateChanged
+      return () => {};
+    },
+    listenCollection(path, onDocs, onError) {
+      const collectionPath = path.join('/');
+      (subscribers[collectionPath] = subscribers[collectionPath] || new Set()).add(onDocs);
+      const ready = collectionPath === collectionName
+        ? (cataloguePromise = cataloguePromise || seedCatalogue())
+        : Promise.resolve();
+      ready
+        .then(() => {
+          if (!subscribers[collectionPath].has(onDocs)) return; // Unsubscribed meanwhile
+          onDocs(Object.entries(readCollection(collectionPath)).map(([id, data]) => ({ id, ...data })), { fromCache: false, changes: null });
+        })
+        .catch(error => {
+          cataloguePromise = null; // Try again with the next listener
+          onError(error);
+        });
+      return () => subscribers[collectionPath].delete(onDocs);
+    },
+    newDocId: () => generateLocalId(),
+    // All writes are applied together; an update of a missing document rejects before anything is written
+    async commitWrites(writes) {
+      const existing = new Map();
+      writes.forEach(({ type, path }) => {
+        const { collectionPath, id } = splitPath(path);
+        const key = path.join('/');
+        const exists = existing.has(key) ? existing.get(key) : Boolean(readCollection(collectionPath)[id]);
+        if (type === 'update' && !exists) {
+          throw Object.assign(new Error(`No document to update: ${key}`), { code: 'not-found' });
+        }
+        existing.set(key, type !== 'delete');
+      });
+
+      const changesByCollection = new Map(); // Collection path -> [{ type, id }]
+      writes.forEach(({ type, path, data, merge }) => {
+        const { collectionPath, id } = splitPath(path);
+        const docs = readCollection(collectionPath);
+        const changeType = type === 'delete' ? 'removed' : (docs[id] ? 'modified' : 'added');
+        if (type === 'delete') delete docs[id];
+        else if (type === 'update') docs[id] = { ...docs[id], ...data };
+        else docs[id] = merge ? mergeDocData(docs[id] || {}, data) : { ...data };
+        if (!changesByCollection.has(collectionPath)) changesByCollection.set(collectionPath, []);
+        changesByCollection.get(collectionPath).push({ type: changeType, id });
+      });
+      [...changesByCollection.keys()].forEach(saveCollection);
+      changesByCollection.forEach((changes, collectionPath) => notify(collectionPath, changes));
+      return writes.length;
+    },
+    // Single tab and single device, so reads can't go stale: collect the writes and commit them at the end
+    async transact(updateFunction) {
+      const writes = [];
+      const result = await updateFunction({
+        get: async (path) => {
+          const { collectionPath, id } = splitPath(path);
+          const data = readCollection(collectionPath)[id];
+          return data ? { ...data } : null;
+        },
+        set: (path, data, options) => writes.push({ type: 'set', path, data, merge: Boolean(options?.merge) }),
+        update: (path, data) => writes.push({ type: 'update', path, data }),
+        delete: (path) => writes.push({ type: 'delete', path })
+      });
+      await adapter.commitWrites(writes);
+      return result;
+    },
+    serverTime: () => Timestamp.now(),
+    uploadFile: (path, file) => runFileRequest('readwrite', files => files.put(file, path)),
+    async getFileUrl(path) {
+      const file = await runFileRequest('readonly', files => files.get(path));
+      if (!file) throw Object.assign(new Error(`No local file ${path}`), { code: 'storage/object-not-found' });
+      return URL.createObjectURL(file);
+    },
+    deleteFile: (path) => runFileRequest('readwrite', files => files.delete(path))
+  };
+  return adapter;
+}
+
+/* Local when opened with ?local, when chosen in the header, or when Firebase isn't configured at all */
+function getStorageBackendName() {
+  if (new URLSearchParams(window.location.search).has('local')) return 'local';
+  if (!isFirebaseConfigured()) return 'local';
+  return localStorage.getItem(storageBackendKey) === 'local' ? 'local' : 'firestore';
+}
+
+// Switching the backend reloads the page, listeners and queued writes belong to one backend
+function handleStorageBackendChange(event) {
+  localStorage.setItem(storageBackendKey, event.target.value);
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('local')) {
+    params.delete('local'); // ?local would override the choice
+    window.location.search = params.toString();
+  } else {
+    window.location.reload();
+  }
+}
+
+function isFirebaseConfigured() {
+  return typeof window.initializeFirebase === 'function';
+}
+
+// Load the Firebase SDK for the Firestore backend; falls back to local storage when it can't be loaded (e.g. offline)
+async function createStorage() {
+  if (getStorageBackendName() === 'local') return createLocalStorage();
+  try {
+    [firestoreSdk, authSdk, storageSdk] = await Promise.all([
+      import(`${firebaseSdkUrl}/firebase-firestore.js`),
+      import(`${firebaseSdkUrl}/firebase-auth.js`),
+      import(`${firebaseSdkUrl}/firebase-storage.js`)
+    ]);
+    ({ db, auth, fileStorage } = await window.initializeFirebase());
+    Timestamp = firestoreSdk.Timestamp;
+    return createFirestoreStorage();
+  } catch (error) {
+    console.error("Firebase could not be loaded, falling back to local storage:", error);
+    return createLocalStorage();
+  }
+}
+
+const storage = await createStorage();
+
 
 // --- Firestore Interaction Functions ---
 
@@ -89,87 +510,292 @@ function listenForDataUpdates() {
   if (unsubscribeSnapshot) {
     unsubscribeSnapshot(); // Detach previous listener if exists
   }
-  console.log("Setting up Firestore listener...");
+  console.log(`Setting up ${storage.name} listener...`);
   const errorDiv = document.getElementById('error'); // Clear previous errors
   if (errorDiv) errorDiv.style.display = 'none';
 
-  const q = query(itemsCollectionRef); // Simple query for all documents
-
-  unsubscribeSnapshot = onSnapshot(q, (querySnapshot) => {
-    console.log("Received Firestore snapshot update.");
-    const newItems = []; // Build new list before replacing
-    querySnapshot.forEach((doc) => {
-      newItems.push({ id: doc.id, ...doc.data() });
-    });
-    dashboardItems = newItems; // Update local cache
-    console.log("Total items fetched:", dashboardItems.length);
-    // Render the table with the updated data, applying current filters/search
-    renderTable();
-    // Update progress chart if progress view is active
-    if (document.getElementById('progressView').style.display !== 'none') {
-      updateProgress();
-    }
+  unsubscribeSnapshot = storage.listenCollection([collectionName], (docs, { fromCache, changes }) => {
+    console.log("Received catalogue snapshot update.");
+    setStorageConnected(!fromCache);
+    const changedCodeFulls = getChangedCodeFulls(changes, docs, catalogueItems);
+    catalogueItems = docs; // Update local cache
+    console.log("Total items fetched:", catalogueItems.length);
+    if (adminModeActive) renderCatalogueDuplicates();
+    mergeProgressIntoItems(); // Rows may have been added or removed, so all items are merged
+    refreshViews(changedCodeFulls);
      // Clear error message on successful update
      if (errorDiv) errorDiv.style.display = 'none';
   }, (error) => {
     // *** USE THE DEFINED handleError FUNCTION ***
-    handleError("Error listening to Firestore:", error);
+    handleError(`Error listening to ${storage.name} storage:`, error);
     // Attempt to render the table even on error, it might show "No data" or cached data
      renderTable();
   });
 }
 
 
-// Update a task (mark as done, change rating, etc.)
+// Collection holding one progress document per codeFull for the given user
+function getProgressCollectionPath(uid) {
+  return ["users", uid, "progress"];
+}
+
+// Listen for the signed-in user's progress documents (users/{uid}/progress/{codeFull})
+function listenForProgressUpdates(uid) {
+  if (unsubscribeProgressSnapshot) {
+    unsubscribeProgressSnapshot(); // Detach the previous user's listeners
+    unsubscribeProgressSnapshot = null;
+  }
+  if (unsubscribeAttemptsSnapshot) {
+    unsubscribeAttemptsSnapshot();
+    unsubscribeAttemptsSnapshot = null;
+  }
+  if (unsubscribeSettingsSnapshot) {
+    unsubscribeSettingsSnapshot();
+    unsubscribeSettingsSnapshot = null;
+  }
+  if (unsubscribeNotesSnapshot) {
+    unsubscribeNotesSnapshot();
+    unsubscribeNotesSnapshot = null;
+  }
+  if (unsubscribeMockExamsSnapshot) {
+    unsubscribeMockExamsSnapshot();
+    unsubscribeMockExamsSnapshot = null;
+  }
+  if (unsubscribeActivitySnapshot) {
+    unsubscribeActivitySnapshot();
+    unsubscribeActivitySnapshot = null;
+  }
+  serverProgressByCodeFull = {};
+  serverAttemptsByCodeFull = {};
+  userSettings = {};
+  notesByCodeFull = {};
+  mockExamSessions = [];
+  activityEntries = [];
+  renderMockExam(); // A running exam belongs to the user who started it
+  renderActivityFeed();
+  if (!uid) {
+    mergeProgressIntoItems();
+    refreshViews();
+    return;
+  }
+
+  console.log(`Setting up progress listener for user ${uid}...`);
+  unsubscribeProgressSnapshot = storage.listenCollection(getProgressCollectionPath(uid), (docs, { changes }) => {
+    const newProgress = {};
+    docs.forEach(({ id, ...data }) => {
+      newProgress[id] = data;
+    });
+    serverProgressByCodeFull = newProgress;
+    console.log("Progress documents fetched:", docs.length);
+    const changedCodeFulls = changes && new Set(changes.map(change => change.id)); // Progress documents are keyed by codeFull
+    mergeProgressIntoItems(changedCodeFulls);
+    refreshViews(changedCodeFulls);
+  }, (error) => {
+    handleError("Error listening to progress updates", error);
+  });
+
+  unsubscribeAttemptsSnapshot = storage.listenCollection(getAttemptsCollectionPath(uid), (docs, { changes }) => {
+    const changedCodeFulls = getChangedCodeFulls(changes, docs, Object.values(serverAttemptsByCodeFull).flat());
+    const newAttempts = {};
+    docs.forEach((attempt) => {
+      if (!attempt.codeFull || !(attempt.finishedAt instanceof Timestamp)) return;
+      (newAttempts[attempt.codeFull] = newAttempts[attempt.codeFull] || []).push(attempt);
+    });
+    Object.values(newAttempts).forEach(list => list.sort((a, b) => a.finishedAt.toMillis() - b.finishedAt.toMillis()));
+    serverAttemptsByCodeFull = newAttempts;
+    console.log("Attempt documents fetched:", docs.length);
+    mergeProgressIntoItems(changedCodeFulls);
+    refreshViews(changedCodeFulls);
+  }, (error) => {
+    handleError("Error listening to attempt updates", error);
+  });
+
+  unsubscribeSettingsSnapshot = storage.listenCollection(getSettingsCollectionPath(uid), (docs) => {
+    const { id, ...settings } = docs.find(settingsDoc => settingsDoc.id === userSettingsDocId) || {};
+    const scaleChanged = JSON.stringify(settings.ratingScale) !== JSON.stringify(userSettings.ratingScale);
+    userSettings = settings;
+    console.log("User settings fetched.");
+    renderGoalInputs();
+    if (scaleChanged) handleRatingScaleChanged();
+    if (document.getElementById('progressView').style.display !== 'none') updateProgress();
+  }, (error) => {
+    handleError("Error listening to settings updates", error);
+  });
+
+  unsubscribeNotesSnapshot = storage.listenCollection(getNotesCollectionPath(uid), (docs, { changes }) => {
+    const newNotes = {};
+    docs.forEach(({ id, ...data }) => {
+      newNotes[id] = data;
+    });
+    notesByCodeFull = newNotes;
+    console.log("Notes documents fetched:", docs.length);
+    // Markers and note search; notes documents are keyed by codeFull
+    if (changes) patchTableRows(new Set(changes.map(change => change.id)));
+    else renderTable();
+    const modalCodeFull = getModalCodeFull();
+    if (modalCodeFull && document.getElementById('doneModal').style.display !== 'none') renderAttachmentList(modalCodeFull);
+  }, (error) => {
+    handleError("Error listening to notes updates", error);
+  });
+
+  unsubscribeMockExamsSnapshot = storage.listenCollection(getMockExamsCollectionPath(uid), (docs) => {
+    mockExamSessions = docs
+      .filter(session => session.startedAt instanceof Timestamp && session.finishedAt instanceof Timestamp)
+      .sort((a, b) => b.startedAt.toMillis() - a.startedAt.toMillis());
+    console.log("Mock exam sessions fetched:", docs.length);
+    renderMockExamSessions();
+  }, (error) => {
+    handleError("Error listening to mock exam updates", error);
+  });
+
+  unsubscribeActivitySnapshot = storage.listenCollection(getActivityCollectionPath(uid), (docs) => {
+    const partsByEntryId = new Map();
+    docs.filter(part => part.partOf && Array.isArray(part.changes)).forEach(part => {
+      partsByEntryId.set(part.partOf, [...(partsByEntryId.get(part.partOf) || []), part]);
+    });
+    activityEntries = docs
+      .filter(entry => !entry.partOf && entry.createdAt instanceof Timestamp && Array.isArray(entry.changes))
+      .map(entry => joinActivityParts(entry, partsByEntryId))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+    console.log("Activity entries fetched:", docs.length);
+    renderActivityFeed();
+  }, (error) => {
+    handleError("Error listening to activity updates", error);
+  });
+}
+
+// Collection holding the user's settings document (goals etc.), shared by all their devices
+function getSettingsCollectionPath(uid) {
+  return ["users", uid, "settings"];
+}
+
+// Collection holding one document per completion attempt for the given user
+function getAttemptsCollectionPath(uid) {
+  return ["users", uid, "attempts"];
+}
+
+/* All completion attempts of a codeFull group, oldest first. Progress written before attempts were
+   recorded only has a 'finished' value, which is turned into attempts without rating or time. */
+function getAttemptHistory(codeFull) {
+  const attempts = attemptsByCodeFull[codeFull];
+  if (attempts && attempts.length > 0) return attempts;
+
+  const progress = progressByCodeFull[codeFull];
+  return getFinishedDates(progress?.finished).map(date => ({
+    id: null, // Not stored as its own document
+    codeFull,
+    finishedAt: Timestamp.fromDate(date),
+    rating: null,
+    timeSpentSeconds: null
+  }));
+}
+
+/* Build dashboardItems from the shared catalogue and the signed-in user's progress.
+   The finished/Rating fields on the shared documents are ignored, each user only sees their own.
+   With `codeFulls`, only the items of these groups are merged again and the others are kept. */
+function mergeProgressIntoItems(codeFulls = null) {
+  applyPendingWrites(); // Queued writes show up immediately, even while offline
+  const previousItems = dashboardItems;
+  dashboardItems = catalogueItems.map((item, index) => {
+    if (codeFulls && !codeFulls.has(item.codeFull) && previousItems[index]?.id === item.id) return previousItems[index];
+    const progress = progressByCodeFull[item.codeFull];
+    const attemptHistory = getAttemptHistory(item.codeFull);
+    const lastAttempt = attemptHistory[attemptHistory.length - 1];
+    const schedule = computeReviewSchedule(attemptHistory, progress?.Rating);
+    // A sub-item can be finished/rated on its own; the later of its own and the group's completion counts
+    const subItemProgress = progress?.subItems?.[getSubItemKey(item)] || {};
+    const groupFinished = lastAttempt ? lastAttempt.finishedAt : null;
+    const subItemFinished = subItemProgress.finished instanceof Timestamp ? subItemProgress.finished : null;
+    const finished = subItemFinished && (!groupFinished || subItemFinished.toMillis() > groupFinished.toMillis())
+      ? subItemFinished
+      : groupFinished;
+    return {
+      ...item,
+      finished,
+      attempts: attemptHistory.length,
+      attemptHistory,
+      Rating: subItemProgress.Rating ?? progress?.Rating ?? null,
+      tags: getTaskTags(item.codeFull),
+      due: schedule ? Timestamp.fromDate(schedule.dueDate) : null
+    };
+  });
+}
+
+/* Re-render the table and, if visible, the progress view from the current dashboardItems.
+   With `codeFulls` (the groups a snapshot changed), only their table rows are patched. */
+function refreshViews(codeFulls = null) {
+  renderFilterBar(); // Section and year options depend on the data
+  // Render the table with the updated data, applying current filters/search
+  if (codeFulls) patchTableRows(codeFulls);
+  else renderTable();
+  // Update progress chart if progress view is active
+  if (document.getElementById('progressView').style.display !== 'none') {
+    updateProgress();
+  }
+}
+
+// Update the catalogue fields of a task; resolves to true once written
 async function updateTask(itemId, dataToUpdate) {
   if (!itemId) {
-    handleError("Update failed: No item ID provided.");
-    return;
+    handleError("Update failed: No item ID provided.", { message: "itemId is empty." });
+    return false;
   }
   console.log(`Updating item ${itemId} with:`, dataToUpdate); // Log *before* trying
-  const itemDocRef = doc(db, collectionName, itemId);
+  const before = getCurrentActivityDoc([collectionName, itemId]);
   try {
-    await updateDoc(itemDocRef, dataToUpdate);
-    console.log("Item updated successfully in Firestore:", itemId); // Log success specifically
+    await storage.commitWrites([{ type: 'update', path: [collectionName, itemId], data: dataToUpdate }]);
+    console.log(`Item updated successfully in ${storage.name} storage:`, itemId); // Log success specifically
+    const after = { ...before, ...dataToUpdate };
+    logActivity({
+      action: 'catalogue',
+      description: `Edit ${after.codeSection ?? itemId}`,
+      codeFulls: [...new Set([before?.codeFull, after.codeFull].filter(Boolean))],
+      changes: [{ path: [collectionName, itemId], before, after }]
+    });
     // UI will update automatically via onSnapshot listener
     // Close modals if the update originated from one
     closeDoneModal();
-    closeRatingModal(); // Close rating modal if it was used
+    return true;
   } catch (error) {
     // *** ENHANCED LOGGING ***
-    console.error(`Firestore update failed for item ${itemId}:`, error);
+    console.error(`Update failed for item ${itemId}:`, error);
     console.error("Error Code:", error.code); // Log the specific Firebase error code
     console.error("Error Message:", error.message); // Log the Firebase error message
     handleError(`Error updating item ${itemId} (Code: ${error.code})`, error); // Pass more info to UI handler
+    return false;
   }
 }
 
 
-// Add a new task (Example function)
+// Add a task to the catalogue (validated by the editing mode form); resolves to true once written
 async function addTask(newItemData) {
   console.log("Adding new item:", newItemData);
-  // Add default fields if necessary, e.g., finished: null, Rating: null
-  // Ensure required fields expected by your app/rules are present
-  const dataToAdd = {
-      finished: null,
-      Rating: null,
-      // Add other fields expected by your data structure if not provided
-      // For example: dateRelease: Timestamp.now() ?
-      ...newItemData // User provided data overrides defaults
-  };
+  // Progress is stored per user, so only the catalogue fields go into the shared document
+  const dataToAdd = {};
+  catalogueFields.forEach(field => { dataToAdd[field] = newItemData[field] ?? null; });
   try {
-    const docRef = await addDoc(itemsCollectionRef, dataToAdd);
-    console.log("New item added with ID:", docRef.id);
+    const newItemId = storage.newDocId([collectionName]);
+    await storage.commitWrites([{ type: 'set', path: [collectionName, newItemId], data: dataToAdd }]);
+    console.log("New item added with ID:", newItemId);
+    logActivity({
+      action: 'catalogue',
+      description: `Add ${dataToAdd.codeSection}`,
+      codeFulls: [dataToAdd.codeFull],
+      changes: [{ path: [collectionName, newItemId], before: null, after: dataToAdd }]
+    });
     // UI will update automatically via onSnapshot listener
+    return true;
   } catch (error) {
     handleError("Error adding new item:", error);
+    return false;
   }
 }
 
-// Delete a task (Example function)
+// Delete a task from the catalogue after confirmation
 async function deleteTask(itemId) {
   if (!itemId) {
-    handleError("Delete failed: No item ID provided."); // Corrected error message context
+    handleError("Delete failed: No item ID provided.", { message: "itemId is empty." }); // Corrected error message context
     return;
   }
   // Find item details for confirmation message
@@ -182,10 +808,16 @@ async function deleteTask(itemId) {
     return;
   }
   console.log(`Deleting item ${itemId}`);
-  const itemDocRef = doc(db, collectionName, itemId);
+  const before = getCurrentActivityDoc([collectionName, itemId]);
   try {
-    await deleteDoc(itemDocRef);
+    await storage.commitWrites([{ type: 'delete', path: [collectionName, itemId] }]);
     console.log("Item deleted successfully.");
+    logActivity({
+      action: 'catalogue',
+      description: `Delete ${before?.codeSection ?? itemId}`,
+      codeFulls: before?.codeFull ? [before.codeFull] : [],
+      changes: [{ path: [collectionName, itemId], before, after: null }]
+    });
     // UI will update automatically via onSnapshot listener
   } catch (error) {
     handleError(`Error deleting item ${itemId}:`, error);
@@ -194,6 +826,305 @@ async function deleteTask(itemId) {
 
 // --- UI Rendering and Interaction ---
 
+// --- Filtering ---
+
+// Structured filters from the filter bar; the free-text query lives in currentSearchTerm
+const emptyFilterState = { sections: [], ratings: [], tags: [], releaseYears: [], finishedFrom: '', finishedTo: '' };
+let filterState = { ...emptyFilterState };
+const searchableFields = ["name", "codeFull", "codeSection", "Rating"]; // Fields matched by plain search words (notes text is matched too)
+
+/**
+ * Parses the search input into field terms and free-text words.
+ * Supported terms: section:1.3, rating:hard, tag:revisit, year:2019, code:A_ (prefix), done, due, notes, and
+ * the negation of any of them with a leading '-' (e.g. -done). Quotes keep words together.
+ * @param {string} text Raw search input.
+ * @returns {{terms: Array<{field: string, value: string, negate: boolean}>, words: Array<string>}}
+ */
+function parseSearchQuery(text) {
+  const terms = [];
+  const words = [];
+  const tokens = String(text || '').match(/-?(?:[\w]+:)?(?:"[^"]*"|\S+)/g) || [];
+  tokens.forEach(token => {
+    const negate = token.startsWith('-') && token.length > 1;
+    const body = (negate ? token.slice(1) : token).replace(/"/g, '');
+    const fieldMatch = body.match(/^(section|rating|tag|year|code):(.+)$/i);
+    if (fieldMatch) {
+      terms.push({ field: fieldMatch[1].toLowerCase(), value: fieldMatch[2].toLowerCase(), negate });
+    } else if (/^(done|due|notes)$/i.test(body)) {
+      terms.push({ field: body.toLowerCase(), value: '', negate });
+    } else if (body !== '') {
+      words.push({ value: body.toLowerCase(), negate });
+    }
+  });
+  return { terms, words };
+}
+
+function isItemFinished(item) {
+  const finishedValue = item.finished;
+  // Consider null, undefined, empty string as unfinished
+  return Boolean(finishedValue) && !(typeof finishedValue === 'string' && finishedValue.trim() === '');
+}
+
+function matchesSearchTerm(item, { field, value }) {
+  switch (field) {
+    case 'section': return getItemSection(item).toLowerCase() === value;
+    case 'rating': return String(item.Rating || unratedOption).toLowerCase() === value;
+    case 'tag': return item.tags.includes(value);
+    case 'year': return String(parseReleaseDate(item.dateRelease)?.getFullYear() ?? '') === value;
+    case 'code': return String(item.codeFull ?? '').toLowerCase().startsWith(value);
+    case 'done': return isItemFinished(item);
+    case 'due': return isDueByEndOfToday(item);
+    case 'notes': return hasNotes(item.codeFull);
+    default: return true;
+  }
+}
+
+// Check one row against the parsed query, the filter bar and the unfinished/due toggles
+function matchesFilters(item, parsedQuery) {
+  // Free-text words only look at text fields, so "1.3" does not match dates
+  const itemString = [...searchableFields.map(field => String(item[field] ?? '')), notesByCodeFull[item.codeFull]?.text ?? '']
+    .join(" ").toLowerCase();
+  if (!parsedQuery.words.every(({ value, negate }) => itemString.includes(value) !== negate)) return false;
+  if (!parsedQuery.terms.every(term => matchesSearchTerm(item, term) !== term.negate)) return false;
+
+  if (filterState.sections.length > 0 && !filterState.sections.includes(getItemSection(item))) return false;
+  if (filterState.ratings.length > 0 && !filterState.ratings.includes(item.Rating || unratedOption)) return false;
+  if (filterState.tags.length > 0 && !filterState.tags.some(tag => item.tags.includes(tag))) return false;
+  if (filterState.releaseYears.length > 0 &&
+      !filterState.releaseYears.includes(String(parseReleaseDate(item.dateRelease)?.getFullYear() ?? ''))) return false;
+  if (filterState.finishedFrom || filterState.finishedTo) {
+    const finishedDate = getFinishedDates(item.finished).pop();
+    if (!finishedDate) return false;
+    if (filterState.finishedFrom && finishedDate < new Date(`${filterState.finishedFrom}T00:00:00`)) return false;
+    if (filterState.finishedTo && finishedDate > new Date(`${filterState.finishedTo}T23:59:59.999`)) return false;
+  }
+
+  if (filterUnfinishedActive && isItemFinished(item)) return false;
+  if (filterDueTodayActive && !isDueByEndOfToday(item)) return false;
+  return true;
+}
+
+// Fill a multi-select with options, keeping the given values selected
+function setMultiSelectOptions(select, values, selectedValues) {
+  if (!select) return;
+  select.innerHTML = values
+    .map(value => `<option value="${escapeHtml(value)}"${selectedValues.includes(value) ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+    .join('');
+}
+
+// Show the current filter state in the filter bar controls
+function renderFilterBar() {
+  const sections = [...new Set(dashboardItems.map(getItemSection).filter(section => section !== ''))];
+  const years = [...new Set(dashboardItems.map(item => parseReleaseDate(item.dateRelease)?.getFullYear()).filter(Boolean).map(String))];
+  // Keep selections from a shared link visible even before the data has loaded
+  filterState.sections.forEach(section => { if (!sections.includes(section)) sections.push(section); });
+  filterState.releaseYears.forEach(year => { if (!years.includes(year)) years.push(year); });
+
+  setMultiSelectOptions(document.getElementById('filterSections'), sections.sort(naturalCompare), filterState.sections);
+  setMultiSelectOptions(document.getElementById('filterRatings'), [...getRatingNames(), unratedOption], filterState.ratings);
+  const tags = getAllTags();
+  filterState.tags.forEach(tag => { if (!tags.includes(tag)) tags.push(tag); });
+  setMultiSelectOptions(document.getElementById('filterTags'), tags, filterState.tags);
+  setMultiSelectOptions(document.getElementById('filterYears'), years.sort(), filterState.releaseYears);
+  document.getElementById('filterFinishedFrom').value = filterState.finishedFrom;
+  document.getElementById('filterFinishedTo').value = filterState.finishedTo;
+  const searchInput = document.getElementById('search');
+  if (searchInput.value !== currentSearchTerm) searchInput.value = currentSearchTerm; // Don't move the caret while typing
+  document.getElementById('filterUnfinished').textContent = filterUnfinishedActive ? "Show All Tasks" : "Show Unfinished Only";
+  document.getElementById('filterDueToday').textContent = filterDueTodayActive ? "Show All Tasks" : "Show Due Today";
+}
+
+// Read the filter bar controls into filterState
+function handleFilterBarChange() {
+  const selectedValues = id => [...document.getElementById(id).selectedOptions].map(option => option.value);
+  filterState = {
+    sections: selectedValues('filterSections'),
+    ratings: selectedValues('filterRatings'),
+    tags: selectedValues('filterTags'),
+    releaseYears: selectedValues('filterYears'),
+    finishedFrom: document.getElementById('filterFinishedFrom').value,
+    finishedTo: document.getElementById('filterFinishedTo').value
+  };
+  applyFilters();
+}
+
+function clearFilters() {
+  filterState = { ...emptyFilterState };
+  currentSearchTerm = "";
+  filterUnfinishedActive = false;
+  filterDueTodayActive = false;
+  renderFilterBar();
+  applyFilters();
+}
+
+// Re-render the table and store the filters in the URL hash so the view can be shared
+function applyFilters() {
+  showingSingleRandomTask = false; // Filtering should show the table view
+  writeFiltersToHash();
+  document.getElementById('tableScroller').scrollTop = 0; // Results start at the top
+  renderTable();
+}
+
+// Encode the filters as e.g. #q=rating%3Ahard&section=1.3,2.1&from=2024-01-01&unfinished=1
+function writeFiltersToHash() {
+  const params = new URLSearchParams();
+  if (currentSearchTerm) params.set('q', currentSearchTerm);
+  if (filterState.sections.length > 0) params.set('section', filterState.sections.join(','));
+  if (filterState.ratings.length > 0) params.set('rating', filterState.ratings.join(','));
+  if (filterState.tags.length > 0) params.set('tag', filterState.tags.join(','));
+  if (filterState.releaseYears.length > 0) params.set('year', filterState.releaseYears.join(','));
+  if (filterState.finishedFrom) params.set('from', filterState.finishedFrom);
+  if (filterState.finishedTo) params.set('to', filterState.finishedTo);
+  if (filterUnfinishedActive) params.set('unfinished', '1');
+  if (filterDueTodayActive) params.set('due', '1');
+  const hash = params.toString();
+  // replaceState does not add a history entry per keystroke and does not fire 'hashchange'
+  history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+}
+
+function readFiltersFromHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const list = key => (params.get(key) || '').split(',').filter(value => value !== '');
+  currentSearchTerm = params.get('q') || '';
+  filterState = {
+    sections: list('section'),
+    ratings: list('rating'),
+    tags: list('tag'),
+    releaseYears: list('year'),
+    finishedFrom: params.get('from') || '',
+    finishedTo: params.get('to') || ''
+  };
+  filterUnfinishedActive = params.get('unfinished') === '1';
+  filterDueTodayActive = params.get('due') === '1';
+}
+
+// --- Table Columns and Sorting ---
+
+const tableColumns = ["insertItem", "name", "dateRelease", "codeSection", "codeFull", "finished", "attempts", "Rating", "tags", "due"];
+const tableSettingsKey = "dashsy.tableSettings"; // localStorage key
+let tableSettings = loadTableSettings(); // { columns: [{key, visible}], sortKey, sortDirection }
+
+function loadTableSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(tableSettingsKey) || '{}');
+  } catch (error) {
+    console.warn("Could not read table settings, using defaults.", error);
+  }
+  // Keep the stored order, drop unknown columns and append columns added since the settings were saved
+  const storedColumns = Array.isArray(stored.columns) ? stored.columns.filter(col => tableColumns.includes(col.key)) : [];
+  const missingColumns = tableColumns
+    .filter(key => !storedColumns.some(col => col.key === key))
+    .map(key => ({ key, visible: true }));
+  return {
+    columns: [...storedColumns, ...missingColumns],
+    sortKey: tableColumns.includes(stored.sortKey) ? stored.sortKey : null,
+    sortDirection: stored.sortDirection === 'desc' ? 'desc' : 'asc'
+  };
+}
+
+function saveTableSettings() {
+  localStorage.setItem(tableSettingsKey, JSON.stringify(tableSettings));
+}
+
+function getVisibleColumns() {
+  return tableSettings.columns.filter(col => col.visible).map(col => col.key);
+}
+
+// Value used to sort a column: dates as milliseconds, counts as numbers, everything else as text
+function getSortValue(item, key) {
+  const value = item[key];
+  if (value === null || value === undefined || value === '') return null;
+  if (key === 'dateRelease') return parseReleaseDate(value)?.getTime() ?? null;
+  if (key === 'finished' || key === 'due') {
+    const dates = getFinishedDates(value);
+    return dates.length > 0 ? dates[dates.length - 1].getTime() : null;
+  }
+  if (key === 'attempts') return Number(value);
+  if (key === 'tags') return value.length > 0 ? value.join(', ') : null;
+  return String(value);
+}
+
+// Sort items in place by the current sort column; empty values always go last
+function sortItems(items) {
+  const { sortKey, sortDirection } = tableSettings;
+  if (!sortKey) return items; // Keep Firestore document order
+  const direction = sortDirection === 'desc' ? -1 : 1;
+  return items.sort((a, b) => {
+    const valueA = getSortValue(a, sortKey);
+    const valueB = getSortValue(b, sortKey);
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    const result = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : naturalCompare(valueA, valueB);
+    return result * direction;
+  });
+}
+
+// Clicking the current sort column flips the direction, another column sorts ascending
+function handleSortColumn(key) {
+  if (tableSettings.sortKey === key) {
+    tableSettings.sortDirection = tableSettings.sortDirection === 'asc' ? 'desc' : 'asc';
+  } else {
+    tableSettings.sortKey = key;
+    tableSettings.sortDirection = 'asc';
+  }
+  saveTableSettings();
+  renderTable();
+}
+
+// Render the column chooser: one checkbox per column plus buttons to move it up or down
+function renderColumnChooser() {
+  const chooser = document.getElementById('columnChooser');
+  if (!chooser) return;
+  chooser.innerHTML = '';
+  tableSettings.columns.forEach((col, index) => {
+    const row = document.createElement('div');
+    row.className = 'column-chooser-row';
+    row.innerHTML = `
+      <label><input type="checkbox" ${col.visible ? 'checked' : ''}> ${escapeHtml(col.key)}</label>
+      <button type="button" data-move="-1" ${index === 0 ? 'disabled' : ''}>Up</button>
+      <button type="button" data-move="1" ${index === tableSettings.columns.length - 1 ? 'disabled' : ''}>Down</button>`;
+    row.querySelector('input').addEventListener('change', (event) => {
+      col.visible = event.target.checked;
+      handleColumnSettingsChanged();
+    });
+    row.querySelectorAll('button').forEach(button => {
+      button.addEventListener('click', () => {
+        const target = index + Number(button.dataset.move);
+        [tableSettings.columns[index], tableSettings.columns[target]] = [tableSettings.columns[target], tableSettings.columns[index]];
+        handleColumnSettingsChanged();
+      });
+    });
+    chooser.appendChild(row);
+  });
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.textContent = 'Reset Columns';
+  resetButton.addEventListener('click', () => {
+    tableSettings.columns = tableColumns.map(key => ({ key, visible: true }));
+    tableSettings.sortKey = null;
+    handleColumnSettingsChanged();
+  });
+  chooser.appendChild(resetButton);
+}
+
+function handleColumnSettingsChanged() {
+  saveTableSettings();
+  renderColumnChooser();
+  renderTable();
+}
+
+function toggleColumnChooser() {
+  const chooser = document.getElementById('columnChooser');
+  if (!chooser) return;
+  const isHidden = chooser.style.display === 'none';
+  if (isHidden) renderColumnChooser();
+  chooser.style.display = isHidden ? 'block' : 'none';
+}
+
 // Render the table based on the local dashboardItems cache, search term, and filters
 function renderTable() {
   // If showing single task, let displaySingleTask handle rendering
@@ -205,83 +1136,372 @@ function renderTable() {
   header.innerHTML = ''; // Clear previous header
   document.getElementById("randomTaskOutput").innerHTML = ""; // Clear random task display
 
+  tableRowModel = [];
+  renderedRange = null;
+
   if (!dashboardItems || dashboardItems.length === 0) { // Added check for undefined dashboardItems
     tableBody.innerHTML = '<tr><td colspan="100%">Loading data or no data found... Check Firestore connection and Rules.</td></tr>';
     return;
   }
 
-  // Determine columns from the first item (assuming consistent structure)
-  // Exclude the 'id' field we added from the header/display rows directly
-  const columns = ["insertItem", "name", "dateRelease", "codeSection", "codeFull", "finished", "Rating"];
+  // Visible columns in the order chosen in the column chooser
+  const columns = getVisibleColumns();
 
-  // Generate table header
+  // Generate table header; clicking a header sorts by that column
   let headerRow = document.createElement("tr");
+  const statusTh = document.createElement("th");
+  statusTh.textContent = "status";
+  headerRow.appendChild(statusTh);
   columns.forEach(col => {
     let th = document.createElement("th");
     th.textContent = col;
+    th.classList.add('sortable');
+    if (tableSettings.sortKey === col) {
+      th.textContent += tableSettings.sortDirection === 'asc' ? ' \u25B2' : ' \u25BC';
+    }
+    th.addEventListener('click', () => handleSortColumn(col));
     headerRow.appendChild(th);
   });
-  // Add an actions column header (optional, if you add delete buttons etc. to rows)
-  // let thAction = document.createElement("th");
-  // thAction.textContent = "Actions";
-  // headerRow.appendChild(thAction);
+  // Actions column for the sub-item rows
+  let thAction = document.createElement("th");
+  thAction.textContent = "Actions";
+  headerRow.appendChild(thAction);
   header.appendChild(headerRow);
 
-  // Filter items based on search term and unfinished filter
-  const filteredItems = dashboardItems.filter(item => {
-    // Search logic: check if search term exists in any field value (case-insensitive)
-    // Ensure values are converted to string before searching
-    const itemString = Object.values(item).map(val => String(val ?? '')).join(" ").toLowerCase();
-    const matchesSearch = currentSearchTerm === "" || itemString.includes(currentSearchTerm.toLowerCase());
-
-    // Unfinished filter logic: check if 'finished' field is missing, null, or empty string
-    let isUnfinished = true;
-    if (item.hasOwnProperty('finished')) {
-        const finishedValue = item.finished;
-        // Consider null, undefined, empty string, or specific 'false' values as unfinished
-        // Also check for empty Timestamp objects if that's possible
-        isUnfinished = !finishedValue || (typeof finishedValue === 'string' && finishedValue.trim() === '');
-         // If finishedValue could be an empty Timestamp, add a check: !(finishedValue instanceof Timestamp && finishedValue.seconds === 0)
-    }
-    const matchesFilter = !filterUnfinishedActive || isUnfinished;
-
-    return matchesSearch && matchesFilter;
-  });
-
-  // Populate table body with filtered items
-  if (filteredItems.length === 0) {
+  // Filter by the search query, the filter bar and the unfinished/due toggles; only the rows in view are rendered
+  renderedColumns = columns;
+  tableRowModel = buildTableRowModel();
+  if (tableRowModel.length === 0) {
       tableBody.innerHTML = '<tr><td colspan="100%">No data matches the current search/filter.</td></tr>';
+      highlightSelectedRow();
   } else {
-      filteredItems.forEach((item) => {
-        const tr = createTableRow(item, columns);
-        tableBody.appendChild(tr);
-      });
+      renderVisibleRows(true);
   }
 }
 
-// Helper to create a table row TR element from a Firestore item object
-function createTableRow(item, columns) {
-    const tr = document.createElement('tr');
-    const finishedValue = item.finished;
-    const itemId = item.id; // Firestore document ID
+// --- Incremental Table Rendering ---
+// Only the rows in view (plus a margin) are in the DOM; spacer rows stand in for the rest, so scrolling
+// through 2000+ rows stays fast. Snapshot changes patch the rows of the affected groups in place
+// instead of rebuilding the table, which keeps the scroll position.
 
-    // Add 'done' class if the item is finished
-    if (finishedValue && (typeof finishedValue !== 'string' || finishedValue.trim() !== '')) {
-      tr.classList.add('done');
+const TABLE_ROW_HEIGHT_ESTIMATE = 33; // px, used until a rendered row has been measured
+const TABLE_OVERSCAN_ROWS = 10; // Rows rendered above and below the visible ones
+const SEARCH_DEBOUNCE_MS = 200; // Filter once typing pauses instead of on every keystroke
+const ROW_HIGHLIGHT_MS = 1500; // How long an updated row stays highlighted
+let tableRowModel = []; // Rows of the filtered, sorted table: { key, kind: 'group'|'sub', codeFull, itemId, groupItems|item }
+let renderedColumns = []; // Visible columns the rendered rows were built with
+let renderedRange = null; // { start, end } indexes into tableRowModel of the rows in the DOM
+let tableRowHeight = TABLE_ROW_HEIGHT_ESTIMATE;
+let searchDebounceTimer = null;
+
+// One group row per codeFull in the order of its first (sorted) item, followed by its sub-item rows when expanded
+function buildTableRowModel() {
+  const parsedQuery = parseSearchQuery(currentSearchTerm);
+  const filteredItems = dashboardItems.filter(item => matchesFilters(item, parsedQuery));
+  sortItems(filteredItems);
+
+  const groups = new Map();
+  filteredItems.forEach(item => {
+    if (!groups.has(item.codeFull)) groups.set(item.codeFull, []);
+    groups.get(item.codeFull).push(item);
+  });
+  const rows = [];
+  groups.forEach((groupItems, codeFull) => {
+    rows.push({ key: `group|${codeFull}`, kind: 'group', codeFull, itemId: groupItems[0].id, groupItems });
+    if (expandedCodeFulls.has(codeFull)) {
+      groupItems.forEach(item => rows.push({ key: `item|${item.id}`, kind: 'sub', codeFull, itemId: item.id, item }));
     }
+  });
+  return rows;
+}
 
-    // Attach click listener to the row
-    tr.addEventListener('click', (event) => {
-       // Prevent triggering row click if a button inside the row was clicked (if you add buttons later)
-       if (event.target.tagName === 'BUTTON') return;
+function createModelRow(row, index) {
+  const tr = row.kind === 'group'
+    ? createGroupRow(row.codeFull, row.groupItems, renderedColumns, expandedCodeFulls.has(row.codeFull))
+    : createSubItemRow(row.item, renderedColumns);
+  tr.dataset.rowIndex = index;
+  tr.dataset.itemId = row.itemId;
+  tr.dataset.codeFull = row.codeFull;
+  return tr;
+}
 
-      currentItemId = itemId; // Store Firestore ID for modal actions
-      const codeFullValue = item.codeFull || 'N/A'; // Adjusted property name
-      console.log("Row clicked. Item ID:", itemId, "code_full:", codeFullValue);
-      openDoneModal(codeFullValue, itemId); // Pass ID to modal opener
-    });
+function createSpacerRow(height) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-spacer';
+  const td = document.createElement('td');
+  td.colSpan = renderedColumns.length + 2; // Status and actions columns
+  td.style.height = `${height}px`;
+  tr.appendChild(td);
+  return tr;
+}
 
-    // Create cells based on the determined column order
+// Rows of tableRowModel that are within the scrolled viewport, widened by TABLE_OVERSCAN_ROWS
+function getVisibleRowRange() {
+  const scroller = document.getElementById('tableScroller');
+  const viewportHeight = scroller.clientHeight || window.innerHeight; // clientHeight is 0 before the first layout
+  const firstVisible = Math.floor(scroller.scrollTop / tableRowHeight);
+  const start = Math.max(0, firstVisible - TABLE_OVERSCAN_ROWS);
+  return {
+    start: start - (start % 2), // Even, so the nth-child striping doesn't flip while scrolling
+    end: Math.min(tableRowModel.length, firstVisible + Math.ceil(viewportHeight / tableRowHeight) + TABLE_OVERSCAN_ROWS)
+  };
+}
+
+/* Put the rows in view into the table body. Called on scroll, so nothing happens while the range is
+   unchanged unless `force` is set (the rows themselves changed). */
+function renderVisibleRows(force = false) {
+  if (showingSingleRandomTask || tableRowModel.length === 0) return;
+  const range = getVisibleRowRange();
+  if (!force && renderedRange && range.start === renderedRange.start && range.end === renderedRange.end) return;
+
+  const tableBody = document.getElementById('dashboard-body');
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(createSpacerRow(range.start * tableRowHeight));
+  for (let index = range.start; index < range.end; index++) {
+    fragment.appendChild(createModelRow(tableRowModel[index], index));
+  }
+  fragment.appendChild(createSpacerRow((tableRowModel.length - range.end) * tableRowHeight));
+  tableBody.replaceChildren(fragment);
+  renderedRange = range;
+
+  // Spacer heights use the measured height from now on
+  const firstRow = tableBody.querySelector('tr[data-row-index]');
+  if (firstRow && firstRow.offsetHeight > 0) tableRowHeight = firstRow.offsetHeight;
+  highlightSelectedRow();
+}
+
+// Scroll the table so the row at `index` is rendered (it may be far outside the rows in the DOM)
+function ensureRowRendered(index) {
+  if (renderedRange && index >= renderedRange.start && index < renderedRange.end) return;
+  document.getElementById('tableScroller').scrollTop = index * tableRowHeight;
+  renderVisibleRows();
+}
+
+/**
+ * Update the table after changes to some codeFull groups without rebuilding it. When the rows stay the
+ * same (same groups and sub-items in the same order), only the rendered rows of these groups are
+ * replaced; otherwise the rows in view are rendered again at the current scroll position. The changed
+ * rows are highlighted briefly.
+ * @param {Set<string>} codeFulls Groups whose catalogue items, progress or notes changed.
+ */
+function patchTableRows(codeFulls) {
+  if (showingSingleRandomTask) return;
+  if (tableRowModel.length === 0) {
+    renderTable(); // Nothing to patch, e.g. "no data matches" before this change
+    return;
+  }
+  if (codeFulls.size === 0) return; // e.g. a snapshot that only changed metadata
+
+  const newRowModel = buildTableRowModel();
+  const sameRows = newRowModel.length === tableRowModel.length &&
+    newRowModel.every((row, index) => row.key === tableRowModel[index].key);
+  tableRowModel = newRowModel;
+  if (tableRowModel.length === 0 || getVisibleColumns().join() !== renderedColumns.join()) {
+    renderTable();
+  } else if (!sameRows) {
+    renderVisibleRows(true);
+  } else {
+    document.querySelectorAll('#dashboard-body tr[data-row-index]').forEach(tr => {
+      // A row being typed in (inline edit) is left alone, its draft is applied on the next render
+      if (!codeFulls.has(tr.dataset.codeFull) || tr.contains(document.activeElement)) return;
+      const index = Number(tr.dataset.rowIndex);
+      tr.replaceWith(createModelRow(tableRowModel[index], index));
+    });
+    highlightSelectedRow();
+  }
+  flashUpdatedRows(codeFulls);
+}
+
+function flashUpdatedRows(codeFulls) {
+  document.querySelectorAll('#dashboard-body tr[data-code-full]').forEach(tr => {
+    if (!codeFulls.has(tr.dataset.codeFull)) return;
+    tr.classList.add('row-updated');
+    setTimeout(() => tr.classList.remove('row-updated'), ROW_HIGHLIGHT_MS);
+  });
+}
+
+/* codeFull groups touched by the changes of a snapshot, looked up in the new documents and, for removed
+   or changed ones, in the previous documents. null when the changes are unknown (first snapshot). */
+function getChangedCodeFulls(changes, docs, previousDocs) {
+  if (!changes) return null;
+  const changedIds = new Set(changes.map(change => change.id));
+  const codeFulls = new Set();
+  [...previousDocs, ...docs].forEach(changedDoc => {
+    if (changedIds.has(changedDoc.id) && changedDoc.codeFull) codeFulls.add(changedDoc.codeFull);
+  });
+  return codeFulls;
+}
+
+function handleSearchInput(event) {
+  currentSearchTerm = event.target.value; // Store search term
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(applyFilters, SEARCH_DEBOUNCE_MS);
+}
+
+// --- Grouped Table Rows ---
+
+// Count finished sub-items of a group across all its rows (not just the filtered ones)
+function getGroupStatus(codeFull) {
+  const subItems = new Map();
+  dashboardItems.filter(item => item.codeFull === codeFull).forEach(item => {
+    const key = getSubItemKey(item);
+    subItems.set(key, subItems.get(key) || Boolean(item.finished));
+  });
+  const doneCount = [...subItems.values()].filter(Boolean).length;
+  return { doneCount, total: subItems.size, isDone: subItems.size > 0 && doneCount === subItems.size };
+}
+
+// Task name without the trailing sub-item marker, e.g. "Die Adria-Wien-Pipeline* b)" -> "Die Adria-Wien-Pipeline*"
+function getGroupName(groupItems) {
+  return String(groupItems[0].name ?? '').replace(/\s*[a-z]\)\s*$/i, '');
+}
+
+// First section (natural order) a group is listed in; a codeFull can appear in several sections
+function getGroupSection(groupItems) {
+  return groupItems.map(getItemSection).filter(Boolean).sort(naturalCompare)[0] || '';
+}
+
+// Aggregate value of a column for a group row
+function getGroupCellValue(groupItems, colName) {
+  const unique = values => [...new Set(values.filter(value => value !== null && value !== undefined && value !== ''))];
+  switch (colName) {
+    case 'insertItem':
+      return unique(groupItems.map(getItemSection)).sort(naturalCompare).join(', ');
+    case 'name':
+      return getGroupName(groupItems);
+    case 'codeSection':
+      return unique(groupItems.map(getSubItemKey)).sort(naturalCompare).join(', ');
+    case 'finished': {
+      const latest = groupItems
+        .map(item => getFinishedDates(item.finished).pop())
+        .filter(Boolean)
+        .sort((a, b) => a - b)
+        .pop();
+      return latest ? formatDate(latest) : '';
+    }
+    case 'Rating':
+      return progressByCodeFull[groupItems[0].codeFull]?.Rating ?? '';
+    case 'due':
+      return groupItems[0].due ? formatDate(groupItems[0].due) : '';
+    case 'tags':
+      return groupItems[0].tags.join(', ');
+    default:
+      return groupItems[0][colName] ?? '';
+  }
+}
+
+function toggleGroupExpanded(codeFull) {
+  if (expandedCodeFulls.has(codeFull)) expandedCodeFulls.delete(codeFull);
+  else expandedCodeFulls.add(codeFull);
+  renderTable();
+}
+
+// Row summarizing a codeFull group: expand toggle with status (0/3, 2/3, done), then aggregated columns
+function createGroupRow(codeFull, groupItems, columns, isExpanded) {
+  const tr = document.createElement('tr');
+  tr.classList.add('group-row');
+  tr.dataset.itemId = groupItems[0].id; // Row target for keyboard navigation
+  const status = getGroupStatus(codeFull);
+  if (status.isDone) tr.classList.add('done');
+
+  const statusTd = document.createElement('td');
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'group-toggle';
+  toggleButton.textContent = isExpanded ? '\u25BC' : '\u25B6';
+  toggleButton.title = isExpanded ? 'Collapse sub-items' : 'Expand sub-items';
+  toggleButton.addEventListener('click', () => toggleGroupExpanded(codeFull));
+  statusTd.appendChild(toggleButton);
+  statusTd.appendChild(document.createTextNode(status.isDone ? ' done' : ` ${status.doneCount}/${status.total}`));
+  tr.appendChild(statusTd);
+
+  columns.forEach(colName => {
+    const td = document.createElement('td');
+    td.textContent = getGroupCellValue(groupItems, colName);
+    if (colName === 'codeFull') appendNotesMarker(td, codeFull);
+    tr.appendChild(td);
+  });
+  tr.appendChild(document.createElement('td')); // Actions are on the sub-item rows
+
+  // Clicking the group opens the done modal for the whole group, like a single row did before
+  tr.addEventListener('click', (event) => {
+    if (event.target.tagName === 'BUTTON') return;
+    currentItemId = groupItems[0].id;
+    openDoneModal(codeFull, groupItems[0].id);
+  });
+  return tr;
+}
+
+// Row for one sub-item inside an expanded group, with its own finish button and rating select
+function createSubItemRow(item, columns) {
+  if (adminModeActive && item.id === editingItemId) return createEditRow(item, columns);
+  const tr = createTableRow(item, columns);
+  tr.classList.add('sub-item-row');
+  tr.insertBefore(document.createElement('td'), tr.firstChild); // Status column stays empty
+
+  const actionsTd = document.createElement('td');
+  actionsTd.addEventListener('click', event => event.stopPropagation()); // Don't open the group modal
+  const ratingSelect = document.createElement('select');
+  ratingSelect.innerHTML = `<option value="">rate...</option>` + getRatingNames()
+    .map(rating => `<option value="${escapeHtml(rating)}">${escapeHtml(rating)}</option>`).join('');
+  ratingSelect.value = item.Rating && getRatingNames().includes(item.Rating) ? item.Rating : '';
+  ratingSelect.addEventListener('change', () => {
+    if (ratingSelect.value) updateSubItemProgress(item.codeFull, getSubItemKey(item), { Rating: ratingSelect.value });
+  });
+  const finishButton = document.createElement('button');
+  finishButton.textContent = 'Finish';
+  finishButton.addEventListener('click', () => handleFinishSubItem(item));
+  actionsTd.appendChild(ratingSelect);
+  actionsTd.appendChild(finishButton);
+  if (adminModeActive) appendAdminButtons(actionsTd, item);
+  tr.appendChild(actionsTd);
+  return tr;
+}
+
+/* Finish one sub-item. When it was the last open sub-item of its group, the group is recorded as a
+   completed attempt so the scheduler and progress chart see it like a "Mark as Done". */
+async function handleFinishSubItem(item) {
+  if (!currentUser) {
+    handleError("Sign in to save your progress", { message: "No user signed in." });
+    return;
+  }
+  const subItemKey = getSubItemKey(item);
+  const statusBefore = getGroupStatus(item.codeFull);
+  const otherOpenSubItems = dashboardItems.filter(other =>
+    other.codeFull === item.codeFull && getSubItemKey(other) !== subItemKey && !other.finished);
+
+  await updateSubItemProgress(item.codeFull, subItemKey, { finished: Timestamp.now() });
+  if (!statusBefore.isDone && otherOpenSubItems.length === 0) {
+    await recordAttempt(item.codeFull, {
+      rating: progressByCodeFull[item.codeFull]?.Rating ?? null,
+      timeSpentSeconds: takeTimerSeconds(item.codeFull)
+    });
+  }
+}
+
+// Helper to create a table row TR element from a Firestore item object
+function createTableRow(item, columns) {
+    const tr = document.createElement('tr');
+    const finishedValue = item.finished;
+    const itemId = item.id; // Firestore document ID
+    tr.dataset.itemId = itemId; // Row target for keyboard navigation
+
+    // Add 'done' class if the item is finished
+    if (finishedValue && (typeof finishedValue !== 'string' || finishedValue.trim() !== '')) {
+      tr.classList.add('done');
+    }
+
+    // Attach click listener to the row
+    tr.addEventListener('click', (event) => {
+       // Prevent triggering row click if a button inside the row was clicked (if you add buttons later)
+       if (event.target.tagName === 'BUTTON') return;
+
+      currentItemId = itemId; // Store Firestore ID for modal actions
+      const codeFullValue = item.codeFull || 'N/A'; // Adjusted property name
+      console.log("Row clicked. Item ID:", itemId, "code_full:", codeFullValue);
+      openDoneModal(codeFullValue, itemId); // Pass ID to modal opener
+    });
+
+    // Create cells based on the determined column order
     columns.forEach(colName => {
       const td = document.createElement('td');
       let cellValue = item[colName];
@@ -295,23 +1515,18 @@ function createTableRow(item, columns) {
              console.warn("Multiple timestamps found in 'finished' field, using the last one:", cellValue);
         }
         td.textContent = formatDate(cellValue); // Format the date/timestamp
+      } else if (cellValue instanceof Timestamp) {
+        td.textContent = formatDate(cellValue); // e.g. the 'due' review date
+      } else if (Array.isArray(cellValue)) {
+        td.textContent = cellValue.join(', '); // e.g. tags
       } else {
         td.textContent = cellValue ?? ''; // Use nullish coalescing for cleaner empty cells
       }
+      if (colName === 'codeFull') appendNotesMarker(td, item.codeFull);
       tr.appendChild(td);
     });
 
-     // Add action buttons (example: delete button)
-    // const tdAction = document.createElement('td');
-    // const deleteButton = document.createElement('button');
-    // deleteButton.textContent = 'Delete';
-    // deleteButton.onclick = (event) => {
-    //     event.stopPropagation(); // Prevent row click listener
-    //     deleteTask(itemId);
-    // };
-    // tdAction.appendChild(deleteButton);
-    // tr.appendChild(tdAction);
-
+    // Edit/Delete buttons are added to the sub-item rows in editing mode, see appendAdminButtons
     return tr;
 }
 
@@ -328,36 +1543,22 @@ function updateProgress() {
         return;
     }
 
-    const finishedPerDay = {};
+    // Count every attempt: the first completion of a task and repeat attempts separately
+    const firstCompletionsPerDay = {};
+    const repeatAttemptsPerDay = {};
     let totalFinishedCount = 0;
     dashboardItems.forEach(item => {
-      const finishedValue = item.finished;
-      if (finishedValue && (typeof finishedValue !== 'string' || finishedValue.trim() !== '')) {
-        totalFinishedCount++;
-        let dateToFormat = finishedValue;
-        // Handle potential multiple timestamps string - Use with caution
-        if (typeof finishedValue === 'string' && finishedValue.includes(',')) {
-            const parts = finishedValue.split(',').map(s => s.trim()); // Changed 'cellValue' to 'finishedValue'
-            dateToFormat = parts[parts.length - 1];
-        }
-        // Format date key (handle Timestamp or Date string)
-        let dateKey = '';
-        try {
-            let dateObj;
-            if (dateToFormat instanceof Timestamp) dateObj = dateToFormat.toDate();
-            else dateObj = new Date(dateToFormat);
-
-            if (!isNaN(dateObj.getTime())) { // Check validity
-                const year = dateObj.getFullYear();
-                const month = ("0" + (dateObj.getMonth() + 1)).slice(-2);
-                const day = dateObj.getDate().toString().padStart(2, '0');
-                dateKey = `${year}-${month}-${day}`;
-                finishedPerDay[dateKey] = (finishedPerDay[dateKey] || 0) + 1;
-            } else {
-                console.warn("Could not parse date for progress chart:", dateToFormat);
-            }
-        } catch (e) { console.warn("Error parsing date for progress chart:", dateToFormat, e); }
-      }
+      if (item.attemptHistory.length === 0) return;
+      totalFinishedCount++;
+      item.attemptHistory.forEach((attempt, index) => {
+        const dateObj = attempt.finishedAt.toDate();
+        const year = dateObj.getFullYear();
+        const month = ("0" + (dateObj.getMonth() + 1)).slice(-2);
+        const day = dateObj.getDate().toString().padStart(2, '0');
+        const dateKey = `${year}-${month}-${day}`;
+        const perDay = index === 0 ? firstCompletionsPerDay : repeatAttemptsPerDay;
+        perDay[dateKey] = (perDay[dateKey] || 0) + 1;
+      });
     });
 
     const totalTasks = dashboardItems.length; // Total items = total tasks
@@ -365,17 +1566,35 @@ function updateProgress() {
     document.getElementById("unfinishedCount").textContent = `Unfinished tasks: ${unfinishedTasksCount} / ${totalTasks}`;
 
     // Prepare data for chart
-    let labels = Object.keys(finishedPerDay).sort();
+    let labels = [...new Set([...Object.keys(firstCompletionsPerDay), ...Object.keys(repeatAttemptsPerDay)])].sort();
+    // With an upcoming exam the axis runs until the exam date, for the required pace line
+    const todayKey = getDateKey(new Date());
+    const examDate = getExamDate();
+    const examKey = examDate && examDate > startOfDay(new Date()) ? getDateKey(examDate) : null;
+    if (examKey) labels = [...new Set([...labels, todayKey, examKey])].sort();
     let cumulativeData = [];
+    let cumulativeRepeatData = [];
     let cumulativeCount = 0;
+    let cumulativeRepeatCount = 0;
     labels.forEach(label => {
-      cumulativeCount += finishedPerDay[label];
+      if (label > todayKey) { // No actual values in the future
+        cumulativeData.push(null);
+        cumulativeRepeatData.push(null);
+        return;
+      }
+      cumulativeCount += firstCompletionsPerDay[label] || 0;
+      cumulativeRepeatCount += repeatAttemptsPerDay[label] || 0;
       cumulativeData.push(cumulativeCount);
+      cumulativeRepeatData.push(cumulativeRepeatCount);
     });
+    // Straight line from today's count to all tasks finished on the exam date
+    const requiredPaceData = labels.map(label =>
+      label === todayKey ? cumulativeCount : label === examKey ? totalTasks : null);
 
     if (labels.length === 0) {
       labels = ["No Tasks Achieved Yet"]; // More descriptive label
       cumulativeData = [0];
+      cumulativeRepeatData = [0];
     }
 
     // Draw chart
@@ -394,14 +1613,28 @@ function updateProgress() {
           backgroundColor: 'rgba(76, 175, 80, 0.2)', // Optional fill
           fill: true,
           tension: 0.1
-        }]
+        }, {
+          label: 'Repeat Attempts (Cumulative)',
+          data: cumulativeRepeatData,
+          borderColor: '#2196F3',
+          backgroundColor: 'rgba(33, 150, 243, 0.2)',
+          fill: false,
+          tension: 0.1
+        }, ...(examKey ? [{
+          label: 'Required Pace until Exam',
+          data: requiredPaceData,
+          borderColor: '#f44336',
+          borderDash: [6, 4],
+          fill: false,
+          spanGaps: true // Only today and the exam date have values
+        }] : [])]
       },
       options: {
         responsive: true,
         maintainAspectRatio: false, // Allow chart to resize height/width independently
         plugins: {
           title: { display: true, text: 'Cumulative Tasks Achieved Over Time' },
-          legend: { display: false }
+          legend: { display: true }
         },
         scales: {
           x: { title: { display: true, text: 'Date' } },
@@ -414,233 +1647,2599 @@ function updateProgress() {
       }
     });
 
-    // Gamification elements
-    const pointsPerTask = 10;
-    const currentPoints = totalFinishedCount * pointsPerTask;
-    const levelThresholds = [0, 50, 100, 200, 500]; // Example level thresholds
-    let currentLevel = 0;
-    while (currentLevel < levelThresholds.length - 1 && currentPoints >= levelThresholds[currentLevel + 1]) {
-      currentLevel++;
-    }
-    const pointsToNextLevel = currentLevel < levelThresholds.length - 1 ? levelThresholds[currentLevel + 1] - currentPoints : 0;
+    updateSectionAnalytics();
 
-    let progressHtml = `
-      <div class="gamification">
-        <h4>Your Progress</h4>
-        <p>Points: ${currentPoints}</p>
-        <p>Level: ${currentLevel + 1} (Tasks: ${totalFinishedCount})</p>
-        ${currentLevel < levelThresholds.length - 1 ? `<p>Tasks to next level: ${pointsToNextLevel / pointsPerTask}</p>` : `<p>You have reached the maximum level!</p>`}
-      </div>
-    `;
-    document.getElementById("progressAnalysis").innerHTML = progressHtml;
+    // Streaks, goals and heatmap
+    if (!currentUser) {
+      document.getElementById("progressAnalysis").innerHTML =
+        `<div class="gamification"><p>Sign in to track your own progress.</p></div>`;
+      document.getElementById("heatmap").innerHTML = '';
+      document.getElementById("timeAnalytics").innerHTML = '';
+      document.getElementById("tagAnalytics").innerHTML = '';
+      renderStudyPlan();
+      return;
+    }
+    renderStreaksAndGoals();
+    renderStudyPlan();
+    renderTimeAnalytics();
+    renderTagAnalytics();
 
   } catch (error) {
     handleError("Error updating progress analysis:", error);
   }
 }
 
-// --- Modal Interactions ---
+// --- Task Management ---
+// Editing mode for the shared catalogue: add tasks, edit rows inline and delete them. Only the
+// catalogue fields are edited; progress stays per user and is keyed by codeFull.
 
-function openDoneModal(codeFull, itemId) {
-  currentItemId = itemId; // Store the Firestore ID
-  document.getElementById('codeFullText').textContent = `Task: ${codeFull}`; // Display code_full
-  // Pre-fill rating based on current item data
-  const currentItem = dashboardItems.find(item => item.id === itemId);
-  const ratingSelect = document.getElementById('ratingSelect');
-  if (currentItem && currentItem.Rating && ratingSelect) {
-      // Handle potential multiple ratings string - Use last one
-      const ratingValue = typeof currentItem.Rating === 'string' ? currentItem.Rating.split(',').pop().trim() : currentItem.Rating;
-      // Ensure the value exists in the dropdown options
-      if ([...ratingSelect.options].map(o => o.value).includes(String(ratingValue))) {
-         ratingSelect.value = String(ratingValue);
-      } else {
-         console.warn(`Rating value '${ratingValue}' not found in dropdown options.`);
-         ratingSelect.value = 'false'; // Default if rating value not found
-      }
-  } else if (ratingSelect) {
-      ratingSelect.value = 'false'; // Default if no item or rating found
-  }
-  console.log("Opening doneModal for Item ID:", itemId);
-  document.getElementById('doneModal').style.display = 'block';
-}
+const codeFullPattern = /^[AB]_\d{3,}$/; // e.g. A_280, B_502
+const insertItemPattern = /^(?:B_W\d*_)?\d+\.\d+$/; // e.g. 1.3, B_W_3.1, B_W1_2.4
+const dateReleasePattern = /^\d{2}\.(?:0[1-9]|1[0-2])$/; // YY.MM, e.g. 19.05
+let adminModeActive = false;
+let isCatalogueAdmin = false; // Whether the signed-in user may edit the catalogue, see updateCatalogueAdmin()
+let editingItemId = null; // Row being edited inline
+let editDraft = {}; // Values typed into the inline edit row, kept across re-renders
 
-function closeDoneModal() {
-  const modal = document.getElementById('doneModal');
-  if (modal) modal.style.display = 'none';
-  currentItemId = null; // Clear stored ID when modal closes
+// dateRelease as typed in the forms: 19.1 (October, stored as a number) is shown as "19.10"
+function formatTaskFieldValue(field, value) {
+  return field === 'dateRelease' && typeof value === 'number' ? value.toFixed(2) : String(value ?? '');
 }
 
-// This modal seems redundant with doneModal, keeping logic separate for now
-function closeRatingModal() {
-  const modal = document.getElementById('ratingModal');
-  if (modal) modal.style.display = 'none';
-  // Avoid clearing currentItemId here if doneModal might still be open
+// Form values as stored: trimmed text, dateRelease as a YY.MM number
+function normalizeTaskData(data) {
+  const normalized = {};
+  catalogueFields.forEach(field => {
+    const value = formatTaskFieldValue(field, data[field]).trim();
+    normalized[field] = field === 'dateRelease' && dateReleasePattern.test(value) ? Number(value) : value;
+  });
+  return normalized;
 }
 
-
-// --- Firestore Interaction Functions --- (Add this new function here)
+/* Two rows are the same task when they have the same section (insertItem) and sub-item (codeSection,
+   which includes the codeFull). Sub-items of one codeFull share the section, so codeFull and insertItem
+   alone would flag every multi-part task. */
+function findDuplicateTask(data, excludeItemId = null) {
+  return catalogueItems.find(item => item.id !== excludeItemId &&
+    getItemKey(item) === getItemKey(data)) || null;
+}
 
 /**
- * Finds all documents with a specific codeFull value and updates them using a batch write.
- * @param {string} codeFullValue The codeFull value to query for.
- * @param {object} dataToUpdate An object containing the fields and values to update.
+ * Checks a task before it is written.
+ * @param {object} data Normalized catalogue fields (see normalizeTaskData).
+ * @param {?string} excludeItemId ID of the row being edited, so it doesn't count as its own duplicate.
+ * @returns {Array<string>} Problems, empty when the task can be saved.
  */
-
-
-async function updateItemGroupByCodeFull(codeFullValue, dataToUpdate) {
-  if (!codeFullValue) {
-    handleError("Group update failed: No codeFull value provided.");
-    return;
+function validateTaskData(data, excludeItemId = null) {
+  const problems = [];
+  if (data.name === '') problems.push('Name is required.');
+  if (!codeFullPattern.test(data.codeFull)) problems.push('codeFull must look like A_280 or B_502.');
+  if (!insertItemPattern.test(data.insertItem)) problems.push('insertItem must be a section like 1.3 or B_W_3.1.');
+  const codeSection = String(data.codeSection);
+  if (codeSection !== data.codeFull && !(codeSection.startsWith(`${data.codeFull} `) && /^ [a-z]$/.test(codeSection.slice(data.codeFull.length)))) {
+    problems.push(`codeSection must be the codeFull, optionally followed by a sub-item letter (e.g. ${data.codeFull || 'A_280'} b).`);
   }
-  console.log(`Attempting group update for codeFull '${codeFullValue}' with data:`, dataToUpdate);
+  if (!(typeof data.dateRelease === 'number' && dateReleasePattern.test(data.dateRelease.toFixed(2)))) {
+    problems.push('dateRelease must be YY.MM, e.g. 19.05.');
+  }
+  const duplicate = problems.length === 0 ? findDuplicateTask(data, excludeItemId) : null;
+  if (duplicate) problems.push(`${data.codeSection} is already listed under section ${data.insertItem}.`);
+  return problems;
+}
 
-  // 1. Query for all documents with the matching codeFull
-  const q = query(itemsCollectionRef, where("codeFull", "==", codeFullValue));
+function showTaskFormProblems(problems) {
+  const list = document.getElementById('taskFormErrors');
+  if (list) list.innerHTML = problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('');
+}
 
-  try {
-    const querySnapshot = await getDocs(q);
+// Duplicate rows already in the catalogue, e.g. from imports made before validation existed
+function renderCatalogueDuplicates() {
+  const container = document.getElementById('catalogueDuplicates');
+  if (!container) return;
+  const rowsByKey = new Map();
+  catalogueItems.forEach(item => {
+    const key = getItemKey(item);
+    rowsByKey.set(key, [...(rowsByKey.get(key) || []), item]);
+  });
+  const duplicates = [...rowsByKey.values()].filter(rows => rows.length > 1);
+  container.innerHTML = duplicates.length === 0
+    ? 'No duplicate rows in the catalogue.'
+    : `Duplicate rows (same section and sub-item): ` +
+      duplicates.map(rows => `${escapeHtml(rows[0].codeSection)} in ${escapeHtml(rows[0].insertItem)} (${rows.length}x)`).join(', ');
+}
 
-    if (querySnapshot.empty) {
-      console.warn(`No documents found with codeFull '${codeFullValue}' to update.`);
-      // Still close modals maybe? Or inform user? For now, just log.
-      closeDoneModal(); // Close modal even if nothing was found matching codeFull
-      closeRatingModal();
-      return;
+/* Catalogue writes need the `admin` custom claim (see firestore.rules); in local mode the only user
+   edits their own catalogue. Shows or hides the catalogue editing buttons accordingly. */
+async function updateCatalogueAdmin(user) {
+  let isAdmin = storage.isLocal && Boolean(user);
+  if (user && !storage.isLocal) {
+    try {
+      isAdmin = (await user.getIdTokenResult()).claims.admin === true;
+    } catch (error) {
+      handleError("Error reading the account's permissions", error);
     }
+  }
+  if (user !== currentUser) return; // Signed out or switched accounts meanwhile
+  isCatalogueAdmin = isAdmin;
+  if (!isCatalogueAdmin && adminModeActive) toggleAdminMode();
+  ['adminModeBtn', 'importDbBtn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.style.display = isCatalogueAdmin ? 'inline' : 'none';
+  });
+}
 
-    // 2. Create a batch write
-    const batch = writeBatch(db);
-    let updatedCount = 0;
+function toggleAdminMode() {
+  if (!adminModeActive && !isCatalogueAdmin) {
+    handleError("Only catalogue admins can edit the task catalogue", { message: "The account has no admin claim." });
+    return;
+  }
+  adminModeActive = !adminModeActive;
+  editingItemId = null;
+  document.getElementById('adminModeBtn').textContent = adminModeActive ? 'Stop Editing' : 'Edit Catalogue';
+  document.getElementById('taskAdminPanel').style.display = adminModeActive ? 'block' : 'none';
+  if (adminModeActive) renderCatalogueDuplicates();
+  renderTable();
+}
 
-    // 3. Add update operations to the batch for each matching document
-    querySnapshot.forEach((doc) => {
-      console.log(`Adding update for doc ${doc.id} to batch.`);
-      batch.update(doc.ref, dataToUpdate);
-      updatedCount++;
-    });
+async function handleAddTaskSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+  const data = normalizeTaskData(Object.fromEntries(new FormData(form).entries()));
+  const problems = validateTaskData(data);
+  showTaskFormProblems(problems);
+  if (problems.length > 0) return;
+  if (await addTask(data)) {
+    form.reset();
+    document.getElementById('taskFormErrors').innerHTML = `<li class="success">Added ${escapeHtml(data.codeSection)}.</li>`;
+  }
+}
 
-    // 4. Commit the batch
-    await batch.commit();
-    console.log(`Successfully updated ${updatedCount} documents with codeFull '${codeFullValue}'.`);
+function startEditingTask(item) {
+  editingItemId = item.id;
+  editDraft = Object.fromEntries(catalogueFields.map(field => [field, formatTaskFieldValue(field, item[field])]));
+  renderTable();
+}
 
-    // UI updates will happen via the onSnapshot listener.
-    // Close modals after successful batch commit.
-    closeDoneModal();
-    closeRatingModal();
+function cancelEditingTask() {
+  editingItemId = null;
+  editDraft = {};
+  renderTable();
+}
 
-  } catch (error) {
-    console.error(`Firestore group update failed for codeFull '${codeFullValue}':`, error);
-    console.error("Error Code:", error.code);
-    console.error("Error Message:", error.message);
-    handleError(`Error updating group for codeFull '${codeFullValue}' (Code: ${error.code})`, error);
+async function saveEditedTask(item) {
+  const data = normalizeTaskData(editDraft);
+  const problems = validateTaskData(data, item.id);
+  if (problems.length > 0) {
+    alert(problems.join('\n'));
+    return;
+  }
+  const changes = {};
+  catalogueFields.forEach(field => {
+    if (!catalogueValuesEqual(item[field], data[field])) changes[field] = data[field];
+  });
+  if (Object.keys(changes).length === 0) {
+    cancelEditingTask();
+    return;
   }
+  if (changes.codeFull && !confirm(`Progress is stored per codeFull. This row will show the progress of ${data.codeFull} instead of ${item.codeFull}. Continue?`)) {
+    return;
+  }
+  if (await updateTask(item.id, changes)) cancelEditingTask();
 }
 
-// ... (keep existing functions like listenForDataUpdates, updateTask, addTask, deleteTask)
+// Row with inputs for the catalogue fields among the visible columns, plus Save/Cancel
+function createEditRow(item, columns) {
+  const tr = document.createElement('tr');
+  tr.classList.add('sub-item-row', 'edit-row');
+  tr.appendChild(document.createElement('td'));
+  const displayRow = createTableRow(item, columns); // Text of the columns that aren't edited here
+  columns.forEach((colName, index) => {
+    const td = document.createElement('td');
+    if (catalogueFields.includes(colName)) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = editDraft[colName] ?? '';
+      input.addEventListener('input', () => { editDraft[colName] = input.value; });
+      td.appendChild(input);
+    } else {
+      td.textContent = displayRow.children[index].textContent;
+    }
+    tr.appendChild(td);
+  });
+  const actionsTd = document.createElement('td');
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save';
+  saveButton.addEventListener('click', () => saveEditedTask(item));
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', cancelEditingTask);
+  actionsTd.appendChild(saveButton);
+  actionsTd.appendChild(cancelButton);
+  tr.appendChild(actionsTd);
+  return tr;
+}
 
+// Edit and Delete buttons for a sub-item row in editing mode
+function appendAdminButtons(actionsTd, item) {
+  const editButton = document.createElement('button');
+  editButton.textContent = 'Edit';
+  editButton.addEventListener('click', () => startEditingTask(item));
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', () => deleteTask(item.id));
+  actionsTd.appendChild(editButton);
+  actionsTd.appendChild(deleteButton);
+}
 
-// --- Action Handlers ---
-// --- Action Handlers ---
+// --- Section Analytics ---
+// Breakdown of the Progress view by task part (A_/B_ codes), chapter or syllabus section
 
-async function handleMarkTaskAsDone() { // Make async if calling an async function
-  if (!currentItemId) {
-    handleError("Cannot mark task done: No item selected.");
-    return;
-  }
+const analyticsBreakdownKey = "dashsy.analyticsBreakdown"; // localStorage key
+const analyticsBreakdowns = ["part", "chapter", "section"];
+let analyticsBreakdown = analyticsBreakdowns.includes(localStorage.getItem(analyticsBreakdownKey))
+  ? localStorage.getItem(analyticsBreakdownKey)
+  : "chapter";
+let sectionChartInstance = null; // Not window.sectionChart, which is the canvas element with that id
 
-  // Find the clicked item in the local cache to get its codeFull value
-  const currentItem = dashboardItems.find(item => item.id === currentItemId);
+// "A_280" -> "A tasks", "B_W_3" -> "B tasks"
+function getTaskPart(item) {
+  const match = String(item.codeFull ?? '').match(/^([A-Za-z]+)_/);
+  return match ? `${match[1].toUpperCase()} tasks` : 'Other';
+}
 
-  if (!currentItem || !currentItem.codeFull) {
-      handleError("Cannot mark task done: Could not find item or codeFull value.", { currentItemId });
-      closeDoneModal(); // Close modal even on error finding item
-      return;
-  }
+// Section without its last number: "1.3" -> "1", "B_W_3.1" -> "B_W_3"
+function getSectionChapter(section) {
+  const value = String(section ?? '').trim();
+  const lastDot = value.lastIndexOf('.');
+  return lastDot > 0 ? value.slice(0, lastDot) : value;
+}
 
-  const codeFullValue = currentItem.codeFull;
-  const now = Timestamp.now(); // Use Firestore Timestamp
+function getAnalyticsGroup(item, breakdown) {
+  if (breakdown === 'part') return getTaskPart(item);
+  const section = getItemSection(item);
+  const group = breakdown === 'chapter' ? getSectionChapter(section) : String(section ?? '').trim();
+  return group || 'No section';
+}
 
-  console.log(`Marking group with codeFull '${codeFullValue}' as done.`);
-  // Call the group update function instead of the single updateTask
-  await updateItemGroupByCodeFull(codeFullValue, { finished: now });
+/**
+ * Counts tasks, finished tasks and ratings per group.
+ * @param {Array<object>} items Dashboard items.
+ * @param {string} breakdown One of analyticsBreakdowns.
+ * @returns {Array<{group: string, total: number, finished: number, ratings: Object<string, number>}>} Sorted by group.
+ */
+function computeSectionStats(items, breakdown) {
+  const statsByGroup = new Map();
+  items.forEach(item => {
+    const group = getAnalyticsGroup(item, breakdown);
+    if (!statsByGroup.has(group)) statsByGroup.set(group, { group, total: 0, finished: 0, ratings: {} });
+    const stats = statsByGroup.get(group);
+    stats.total++;
+    if (isItemFinished(item)) stats.finished++;
+    const rating = getRatingNames().includes(item.Rating) ? item.Rating : 'unrated';
+    stats.ratings[rating] = (stats.ratings[rating] || 0) + 1;
+  });
+  return [...statsByGroup.values()].sort((a, b) => naturalCompare(a.group, b.group));
+}
 
-  // Note: Modal closing is now handled inside updateItemGroupByCodeFull on success/error
-  // We no longer call updateTask here.
+// Horizontal bar split by rating, widths relative to the group's task count
+function renderRatingBar(stats) {
+  return [...getRatingNames(), 'unrated']
+    .filter(rating => stats.ratings[rating])
+    .map(rating => `<span style="width:${(stats.ratings[rating] / stats.total) * 100}%; background-color:${escapeHtml(getRatingColor(rating))};"` +
+      ` title="${escapeHtml(rating)}: ${stats.ratings[rating]}"></span>`)
+    .join('');
 }
 
+// Table with completion percentage and rating distribution per group, weakest completion is easy to spot
+function renderSectionAnalytics(statsList) {
+  const container = document.getElementById('sectionAnalytics');
+  if (!container) return;
+  const legend = [...getRatingNames(), 'unrated']
+    .map(rating => `<span class="rating-legend"><span style="background-color:${escapeHtml(getRatingColor(rating))};"></span>${escapeHtml(rating)}</span>`)
+    .join('');
+  const rows = statsList.map(stats => {
+    const percent = stats.total > 0 ? Math.round((stats.finished / stats.total) * 100) : 0;
+    return `<tr>
+      <td>${escapeHtml(stats.group)}</td>
+      <td>${stats.finished} / ${stats.total}</td>
+      <td><div class="completion-bar"><span style="width:${percent}%;"></span></div> ${percent}%</td>
+      <td><div class="rating-bar">${renderRatingBar(stats)}</div></td>
+    </tr>`;
+  }).join('');
+  container.innerHTML = `<div>${legend}</div>
+    <table class="section-analytics-table">
+      <thead><tr><th>Group</th><th>Finished</th><th>Completion</th><th>Ratings</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
 
-async function handleSubmitRating(event) { // Make async
-  event.preventDefault(); // Prevent form submission
-  if (!currentItemId) {
-    handleError("Cannot submit rating: No item selected.");
-    return;
-  }
+// Stacked area chart: cumulative finished tasks per group over time
+function updateSectionChart(statsList) {
+  const canvas = document.getElementById('sectionChart');
+  if (!canvas) return;
+  const groups = statsList.map(stats => stats.group);
+  const finishedPerDay = {}; // dateKey -> { group: count }
+  dashboardItems.forEach(item => {
+    // First completion of the task; sub-items finished on their own have no attempt
+    const firstFinished = item.attemptHistory.length > 0 ? item.attemptHistory[0].finishedAt : item.finished;
+    const date = getFinishedDates(firstFinished)[0];
+    if (!date) return;
+    const dateKey = formatDate(date).slice(0, 10); // YYYY-MM-DD
+    const group = getAnalyticsGroup(item, analyticsBreakdown);
+    finishedPerDay[dateKey] = finishedPerDay[dateKey] || {};
+    finishedPerDay[dateKey][group] = (finishedPerDay[dateKey][group] || 0) + 1;
+  });
+  const labels = Object.keys(finishedPerDay).sort();
 
-  // Find the clicked item in the local cache to get its codeFull value
-  const currentItem = dashboardItems.find(item => item.id === currentItemId);
+  const datasets = groups.map((group, index) => {
+    let cumulative = 0;
+    const color = `hsl(${Math.round((index * 360) / Math.max(groups.length, 1))}, 60%, 55%)`;
+    return {
+      label: group,
+      data: labels.map(label => (cumulative += finishedPerDay[label][group] || 0)),
+      borderColor: color,
+      backgroundColor: color,
+      fill: true,
+      pointRadius: 0,
+      tension: 0.1
+    };
+  });
 
-  if (!currentItem || !currentItem.codeFull) {
-      handleError("Cannot submit rating: Could not find item or codeFull value.", { currentItemId });
-      closeDoneModal(); // Close modal even on error finding item
-      return;
+  if (sectionChartInstance) {
+    sectionChartInstance.destroy(); // Destroy previous chart instance
   }
+  sectionChartInstance = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { labels: labels.length > 0 ? labels : ["No Tasks Achieved Yet"], datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: { display: true, text: 'Finished Tasks per Group (Cumulative, Stacked)' },
+        legend: { display: groups.length <= 20 } // A legend for 60 sections would hide the chart
+      },
+      scales: {
+        x: { title: { display: true, text: 'Date' } },
+        y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Number of Tasks' }, ticks: { precision: 0 } }
+      }
+    }
+  });
+}
 
-  const codeFullValue = currentItem.codeFull;
-  const ratingSelect = document.getElementById('ratingSelect');
-  let ratingValue = ratingSelect.value; // This is currently a string ('easy', 'medium', etc.)
+function updateSectionAnalytics() {
+  const select = document.getElementById('analyticsBreakdown');
+  if (select) select.value = analyticsBreakdown;
+  const statsList = computeSectionStats(dashboardItems, analyticsBreakdown);
+  renderSectionAnalytics(statsList);
+  updateSectionChart(statsList);
+}
 
-  console.log(`Preparing to update rating for group with codeFull '${codeFullValue}' with value:`, ratingValue);
+function handleAnalyticsBreakdownChange(event) {
+  analyticsBreakdown = event.target.value;
+  localStorage.setItem(analyticsBreakdownKey, analyticsBreakdown);
+  updateSectionAnalytics();
+}
 
-  // Call the group update function instead of the single updateTask
-  await updateItemGroupByCodeFull(codeFullValue, { Rating: ratingValue }); // Check if frontend expects 'rating' or 'Rating' field
+// --- Streaks, Goals and Heatmap ---
+// Goals live in users/{uid}/settings/preferences so they follow the user to every device
 
-  // Note: Modal closing is now handled inside updateItemGroupByCodeFull on success/error
-  // We no longer call updateTask here.
+const userSettingsDocId = "preferences";
+const defaultGoals = { daily: 3, weekly: 15 }; // Tasks per day / per week (Monday to Sunday)
+const HEATMAP_WEEKS = 53; // One year of columns, like GitHub's contribution calendar
+let userSettings = {}; // Settings document of the signed-in user (without id)
+
+function getGoals() {
+  return { ...defaultGoals, ...userSettings.goals };
 }
 
-// ... (keep other functions like pickRandomTask, displayTasks, etc.)
+// Merge fields into the user's settings document
+async function saveUserSettings(data) {
+  if (!currentUser) {
+    handleError("Sign in to save your settings", { message: "No user signed in." });
+    return;
+  }
+  userSettings = mergeDocData(userSettings, data); // Show the change before the listener confirms it
+  try {
+    await storage.commitWrites([{
+      type: 'set',
+      path: [...getSettingsCollectionPath(currentUser.uid), userSettingsDocId],
+      data: { ...data, updatedAt: storage.serverTime() },
+      merge: true
+    }]);
+  } catch (error) {
+    handleError("Error saving settings", error);
+  }
+}
 
+// Local calendar day as YYYY-MM-DD
+function getDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
 
-// Pick and display a random unfinished task
-async function pickRandomTask() {
-  showingSingleRandomTask = false; // Reset flag initially
-  document.getElementById("randomTaskOutput").innerHTML = "Picking random task...";
+// Monday of the date's week
+function startOfWeek(date) {
+  const monday = startOfDay(date);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
 
-  try {
-      if (!dashboardItems || dashboardItems.length === 0) {
-          document.getElementById("randomTaskOutput").innerHTML = "<strong>No tasks available to pick from!</strong>";
-          renderTable();
-          return;
-      }
-    // Filter local cache for unfinished items
-    const unfinishedItems = dashboardItems.filter(item => {
-        let isUnfinished = true;
-        if (item.hasOwnProperty('finished')) {
-            const finishedValue = item.finished;
-            isUnfinished = !finishedValue || (typeof finishedValue === 'string' && finishedValue.trim() === '');
-        }
-        return isUnfinished;
+// Completed attempts per day (YYYY-MM-DD -> count) over all codeFull groups
+function getCompletionsPerDay() {
+  const perDay = {};
+  const codeFulls = new Set([...dashboardItems.map(item => item.codeFull), ...Object.keys(attemptsByCodeFull)]);
+  codeFulls.forEach(codeFull => {
+    getAttemptHistory(codeFull).forEach(attempt => {
+      const dateKey = getDateKey(attempt.finishedAt.toDate());
+      perDay[dateKey] = (perDay[dateKey] || 0) + 1;
     });
+  });
+  return perDay;
+}
 
-    if (unfinishedItems.length === 0) {
-      document.getElementById("randomTaskOutput").innerHTML = "<strong>All tasks are marked as done!</strong>";
-      renderTable(); // Show the full (empty or all done) table
-      return;
-    }
+/* Current and longest run of consecutive days with at least one completion. Today without a
+   completion yet doesn't break the current streak, it still counts from yesterday. */
+function computeStreaks(perDay, now = new Date()) {
+  let longest = 0;
+  let run = 0;
+  let previousDay = null;
+  Object.keys(perDay).sort().forEach(dateKey => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    // Rounded because days around DST changes are 23 or 25 hours long
+    run = previousDay && Math.round((date - previousDay) / 86400000) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previousDay = date;
+  });
 
-    // Pick random codeFull from the filtered list
-    const codeFulls = [...new Set(unfinishedItems.map(item => item.codeFull))];
-    const randomCodeFull = codeFulls[Math.floor(Math.random() * codeFulls.length)];
-    console.log("Randomly selected codeFull:", randomCodeFull);
+  let current = 0;
+  const cursor = startOfDay(now);
+  if (!perDay[getDateKey(cursor)]) cursor.setDate(cursor.getDate() - 1);
+  while (perDay[getDateKey(cursor)]) {
+    current++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return { current, longest };
+}
 
-    // Find all items with the selected codeFull
-    const itemsToDisplay = dashboardItems.filter(item => item.codeFull === randomCodeFull);
+// Sum of completions from the start date up to and including today
+function countCompletionsSince(perDay, startDate, now = new Date()) {
+  let count = 0;
+  for (const cursor = new Date(startDate); cursor <= now; cursor.setDate(cursor.getDate() + 1)) {
+    count += perDay[getDateKey(cursor)] || 0;
+  }
+  return count;
+}
 
-    // Display those tasks
-    displayTasks(itemsToDisplay);
+function renderStreaksAndGoals() {
+  const perDay = getCompletionsPerDay();
+  const now = new Date();
+  const { current, longest } = computeStreaks(perDay, now);
+  const goals = getGoals();
+  const todayCount = perDay[getDateKey(now)] || 0;
+  const weekCount = countCompletionsSince(perDay, startOfWeek(now), now);
+  const dayLabel = count => `${count} ${count === 1 ? 'day' : 'days'}`;
 
-  } catch (error) {
+  document.getElementById("progressAnalysis").innerHTML = `
+    <div class="gamification">
+      <h4>Your Progress</h4>
+      <p>Current streak: ${dayLabel(current)} | Longest streak: ${dayLabel(longest)}</p>
+      <p>Today: ${todayCount} / ${goals.daily} <progress value="${Math.min(todayCount, goals.daily)}" max="${goals.daily}"></progress>
+        ${todayCount >= goals.daily ? 'Daily goal reached!' : ''}</p>
+      <p>This week: ${weekCount} / ${goals.weekly} <progress value="${Math.min(weekCount, goals.weekly)}" max="${goals.weekly}"></progress>
+        ${weekCount >= goals.weekly ? 'Weekly goal reached!' : ''}</p>
+    </div>
+  `;
+  renderHeatmap(perDay, goals.daily);
+}
+
+/* Calendar heatmap: one column per week (Monday on top), one cell per day. The shade is the
+   day's completions relative to the daily goal, a full goal is the darkest shade. */
+function renderHeatmap(perDay, dailyGoal) {
+  const container = document.getElementById('heatmap');
+  if (!container) return;
+  const today = startOfDay(new Date());
+  const start = startOfWeek(today);
+  start.setDate(start.getDate() - (HEATMAP_WEEKS - 1) * 7);
+
+  const cells = [];
+  for (const cursor = new Date(start); cursor <= today; cursor.setDate(cursor.getDate() + 1)) {
+    const dateKey = getDateKey(cursor);
+    const count = perDay[dateKey] || 0;
+    const level = count === 0 ? 0 : Math.min(4, Math.ceil((count / Math.max(dailyGoal, 1)) * 4));
+    cells.push(`<div class="heatmap-cell heatmap-level-${level}" title="${dateKey}: ${count} ${count === 1 ? 'task' : 'tasks'}"></div>`);
+  }
+  container.innerHTML = `<div class="heatmap-grid">${cells.join('')}</div>`;
+}
+
+function renderGoalInputs() {
+  const goals = getGoals();
+  const dailyGoalInput = document.getElementById('dailyGoalInput');
+  const weeklyGoalInput = document.getElementById('weeklyGoalInput');
+  if (dailyGoalInput) dailyGoalInput.value = goals.daily;
+  if (weeklyGoalInput) weeklyGoalInput.value = goals.weekly;
+}
+
+async function handleGoalInputChange() {
+  const daily = parseInt(document.getElementById('dailyGoalInput').value, 10);
+  const weekly = parseInt(document.getElementById('weeklyGoalInput').value, 10);
+  if (!(daily >= 1) || !(weekly >= 1)) {
+    renderGoalInputs(); // Goals must be positive whole numbers, restore the saved values
+    return;
+  }
+  await saveUserSettings({ goals: { daily, weekly } });
+  updateProgress();
+}
+
+// --- Exam Planner ---
+// The plan is rebuilt from the current progress on every render, so missed days simply spread the
+// remaining groups over the days that are left.
+
+const PLAN_PREVIEW_DAYS = 7; // Days listed before the "full plan" toggle
+
+// Exam date from the user's settings (stored as YYYY-MM-DD), as local midnight
+function getExamDate() {
+  const match = String(userSettings.examDate ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/* codeFull groups still to do at the start of today, each with its first section. Groups finished
+   today are included (flagged doneToday) so today's share of the plan doesn't grow as it gets done. */
+function getPlanGroups(now = new Date()) {
+  const todayStart = startOfDay(now);
+  const itemsByCodeFull = new Map();
+  dashboardItems.forEach(item => {
+    if (!itemsByCodeFull.has(item.codeFull)) itemsByCodeFull.set(item.codeFull, []);
+    itemsByCodeFull.get(item.codeFull).push(item);
+  });
+  const groups = [];
+  itemsByCodeFull.forEach((groupItems, codeFull) => {
+    const lastFinished = groupItems
+      .map(item => getFinishedDates(item.finished).pop())
+      .filter(Boolean)
+      .sort((a, b) => a - b)
+      .pop();
+    const isDone = getGroupStatus(codeFull).isDone;
+    const doneToday = isDone && lastFinished >= todayStart;
+    if (isDone && !doneToday) return;
+    groups.push({
+      codeFull,
+      itemId: groupItems[0].id,
+      name: getGroupName(groupItems),
+      section: getGroupSection(groupItems),
+      doneToday
+    });
+  });
+  return groups;
+}
+
+/* Order groups so every section is spread evenly over the whole plan: the i-th of n groups of a
+   section is placed at (i + 0.5) / n. Groups done today come first, they were today's work. */
+function balanceAcrossSections(groups) {
+  const bySection = new Map();
+  groups.forEach(group => {
+    if (!bySection.has(group.section)) bySection.set(group.section, []);
+    bySection.get(group.section).push(group);
+  });
+  const positioned = [];
+  bySection.forEach(sectionGroups => {
+    sectionGroups
+      .sort((a, b) => naturalCompare(a.codeFull, b.codeFull))
+      .forEach((group, index) => positioned.push({ group, position: (index + 0.5) / sectionGroups.length }));
+  });
+  return positioned
+    .sort((a, b) => (b.group.doneToday - a.group.doneToday) || (a.position - b.position) ||
+      naturalCompare(a.group.section, b.group.section))
+    .map(({ group }) => group);
+}
+
+/**
+ * Builds the day-by-day plan from today until the day before the exam.
+ * @returns {?{examDate: Date, daysLeft: number, groupCount: number, days: Array<{date: Date, groups: Array}>}}
+ *   null without an exam date; days is empty once the exam date has passed.
+ */
+function buildStudyPlan(now = new Date()) {
+  const examDate = getExamDate();
+  if (!examDate) return null;
+  const today = startOfDay(now);
+  const daysLeft = Math.round((examDate - today) / 86400000);
+  const groups = balanceAcrossSections(getPlanGroups(now));
+  const days = [];
+  let index = 0;
+  for (let day = 0; day < daysLeft && index < groups.length; day++) {
+    const count = Math.ceil((groups.length - index) / (daysLeft - day)); // Earlier days take the remainder
+    const date = new Date(today);
+    date.setDate(date.getDate() + day);
+    days.push({ date, groups: groups.slice(index, index + count) });
+    index += count;
+  }
+  return { examDate, daysLeft, groupCount: groups.filter(group => !group.doneToday).length, days };
+}
+
+function renderPlanDay({ date, groups }, isToday) {
+  const entries = groups.map(group => `<li class="${group.doneToday ? 'plan-done' : ''}">
+      <a href="#" data-code-full="${escapeHtml(group.codeFull)}" data-item-id="${escapeHtml(group.itemId)}">${escapeHtml(group.codeFull)}</a>
+      ${escapeHtml(group.name)} <small>(${escapeHtml(group.section)})</small></li>`).join('');
+  return `<div class="plan-day"><strong>${isToday ? 'Today' : escapeHtml(formatDate(date).slice(0, 10))}</strong>
+    (${groups.length})<ul>${entries}</ul></div>`;
+}
+
+function renderStudyPlan() {
+  const countdown = document.getElementById('examCountdown');
+  const planDiv = document.getElementById('studyPlan');
+  const examDateInput = document.getElementById('examDateInput');
+  if (!countdown || !planDiv) return;
+  if (examDateInput) examDateInput.value = userSettings.examDate || '';
+
+  const plan = currentUser ? buildStudyPlan() : null;
+  if (!plan) {
+    countdown.textContent = currentUser ? 'Set your exam date to get a day-by-day plan.' : '';
+    planDiv.innerHTML = '';
+    return;
+  }
+  if (plan.daysLeft <= 0) {
+    countdown.textContent = plan.daysLeft === 0 ? 'The exam is today. Good luck!' : 'The exam date has passed.';
+    planDiv.innerHTML = '';
+    return;
+  }
+  const perDay = plan.days.length > 0 ? plan.days[0].groups.length : 0;
+  countdown.textContent = `${plan.daysLeft} ${plan.daysLeft === 1 ? 'day' : 'days'} until the exam on ` +
+    `${formatDate(plan.examDate).slice(0, 10)}. ${plan.groupCount} task groups left, ` +
+    `${perDay} planned for today.`;
+  const [today, ...laterDays] = plan.days;
+  const preview = laterDays.slice(0, PLAN_PREVIEW_DAYS - 1);
+  const rest = laterDays.slice(PLAN_PREVIEW_DAYS - 1);
+  planDiv.innerHTML = (today ? renderPlanDay(today, true) : '<p>All tasks are done!</p>') +
+    preview.map(day => renderPlanDay(day, false)).join('') +
+    (rest.length > 0
+      ? `<details><summary>Full plan (${rest.length} more days)</summary>${rest.map(day => renderPlanDay(day, false)).join('')}</details>`
+      : '');
+}
+
+// Plan entries open the done modal of their group
+function handleStudyPlanClick(event) {
+  const link = event.target.closest('a[data-code-full]');
+  if (!link) return;
+  event.preventDefault();
+  openDoneModal(link.dataset.codeFull, link.dataset.itemId);
+}
+
+async function handleExamDateChange(event) {
+  await saveUserSettings({ examDate: event.target.value || null });
+  updateProgress();
+}
+
+// --- Mock Exam ---
+// A practice paper of Part A (A_ codes) and Part B (B_ codes) groups, spread across sections and
+// preferring unfinished or poorly rated groups. The running exam lives in localStorage so the
+// countdown survives a reload; finished exams are stored as sessions in users/{uid}/mockExams.
+
+const mockExamSettingsKey = "dashsy.mockExamSettings"; // localStorage key
+const activeMockExamKey = "dashsy.activeMockExam"; // localStorage key
+const defaultMockExamSettings = { partACount: 24, partBCount: 4, durationMinutes: 270 };
+const notAttemptedResult = ""; // Result select value for sub-items that were not attempted
+let mockExamSettings = loadMockExamSettings();
+let activeMockExam = loadActiveMockExam(); // { id, uid, startedAt, endsAt, lockedAt, durationMinutes, tasks }
+let mockExamSessions = []; // Saved sessions of the signed-in user, newest first
+let mockExamInterval = null;
+
+function loadMockExamSettings() {
+  try {
+    return { ...defaultMockExamSettings, ...JSON.parse(localStorage.getItem(mockExamSettingsKey) || '{}') };
+  } catch (error) {
+    console.warn("Could not read mock exam settings, using defaults.", error);
+    return { ...defaultMockExamSettings };
+  }
+}
+
+function loadActiveMockExam() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(activeMockExamKey) || 'null');
+    return stored && Array.isArray(stored.tasks) ? stored : null;
+  } catch (error) {
+    console.warn("Could not read the running mock exam.", error);
+    return null;
+  }
+}
+
+function saveActiveMockExam() {
+  if (activeMockExam) localStorage.setItem(activeMockExamKey, JSON.stringify(activeMockExam));
+  else localStorage.removeItem(activeMockExamKey);
+}
+
+// Collection holding one document per finished mock exam for the given user
+function getMockExamsCollectionPath(uid) {
+  return ["users", uid, "mockExams"];
+}
+
+/* Groups of one part with their sections and sub-items. Priority 0 = unfinished, 1 = rated with a
+   quality below 4 (e.g. hard, false), 2 = everything else. */
+function getMockExamCandidates(part) {
+  const groups = new Map();
+  dashboardItems
+    .filter(item => String(item.codeFull ?? '').startsWith(`${part}_`))
+    .forEach(item => {
+      if (!groups.has(item.codeFull)) groups.set(item.codeFull, []);
+      groups.get(item.codeFull).push(item);
+    });
+  return [...groups.entries()].map(([codeFull, groupItems]) => {
+    const quality = getRatingQuality(progressByCodeFull[codeFull]?.Rating);
+    let priority = 2;
+    if (!getGroupStatus(codeFull).isDone) priority = 0;
+    else if (quality !== undefined && quality < 4) priority = 1;
+    return {
+      codeFull,
+      part,
+      name: getGroupName(groupItems),
+      section: getGroupSection(groupItems),
+      subItemKeys: [...new Set(groupItems.map(getSubItemKey))].sort(naturalCompare),
+      priority
+    };
+  });
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/* Take `count` candidates round-robin over the sections, so no section appears twice before every
+   section appeared once. Within a section and within a round, lower priority values go first. */
+function pickAcrossSections(candidates, count) {
+  const bySection = new Map();
+  shuffle([...candidates]).forEach(candidate => {
+    if (!bySection.has(candidate.section)) bySection.set(candidate.section, []);
+    bySection.get(candidate.section).push(candidate);
+  });
+  bySection.forEach(sectionCandidates => sectionCandidates.sort((a, b) => a.priority - b.priority));
+
+  const picked = [];
+  while (picked.length < count && bySection.size > 0) {
+    const heads = [...bySection.entries()]
+      .map(([section, sectionCandidates]) => ({ section, candidate: sectionCandidates[0] }))
+      .sort((a, b) => a.candidate.priority - b.candidate.priority);
+    for (const { section, candidate } of heads) {
+      if (picked.length >= count) break;
+      picked.push(candidate);
+      bySection.get(section).shift();
+      if (bySection.get(section).length === 0) bySection.delete(section);
+    }
+  }
+  return picked;
+}
+
+// Paper order: Part A before Part B, each sorted by section
+function buildMockExamPaper(partACount, partBCount) {
+  const bySection = (a, b) => naturalCompare(a.section, b.section) || naturalCompare(a.codeFull, b.codeFull);
+  return [
+    ...pickAcrossSections(getMockExamCandidates('A'), partACount).sort(bySection),
+    ...pickAcrossSections(getMockExamCandidates('B'), partBCount).sort(bySection)
+  ];
+}
+
+function startMockExam() {
+  if (!currentUser) {
+    handleError("Sign in to take a mock exam", { message: "No user signed in." });
+    return;
+  }
+  const readCount = (id, fallback) => Math.max(0, Math.round(Number(document.getElementById(id).value) || fallback));
+  mockExamSettings = {
+    partACount: readCount('mockPartACount', 0),
+    partBCount: readCount('mockPartBCount', 0),
+    durationMinutes: Math.max(1, readCount('mockDuration', defaultMockExamSettings.durationMinutes))
+  };
+  localStorage.setItem(mockExamSettingsKey, JSON.stringify(mockExamSettings));
+
+  const tasks = buildMockExamPaper(mockExamSettings.partACount, mockExamSettings.partBCount);
+  if (tasks.length === 0) {
+    document.getElementById('mockExamStatus').textContent = 'No tasks match, check the number of tasks per part.';
+    return;
+  }
+  const startedAt = Date.now();
+  activeMockExam = {
+    id: storage.newDocId(getMockExamsCollectionPath(currentUser.uid)),
+    uid: currentUser.uid,
+    startedAt,
+    endsAt: startedAt + mockExamSettings.durationMinutes * 60000,
+    lockedAt: null,
+    durationMinutes: mockExamSettings.durationMinutes,
+    tasks: tasks.map(({ priority, ...task }) => task)
+  };
+  saveActiveMockExam();
+  renderMockExam();
+}
+
+// Hand in: no more time, the paper is locked and the results form is shown
+function lockMockExam() {
+  if (!activeMockExam || activeMockExam.lockedAt) return;
+  activeMockExam.lockedAt = Math.min(Date.now(), activeMockExam.endsAt);
+  saveActiveMockExam();
+  renderMockExam();
+}
+
+function discardMockExam() {
+  if (!activeMockExam || !confirm('Discard this mock exam without saving results?')) return;
+  activeMockExam = null;
+  saveActiveMockExam();
+  renderMockExam();
+}
+
+// Countdown in the view and on the menu button; locks the paper when the time is up
+function tickMockExam() {
+  const button = document.getElementById('mockExamBtn');
+  const isRunning = Boolean(activeMockExam && !activeMockExam.lockedAt);
+  if (isRunning && Date.now() >= activeMockExam.endsAt) {
+    lockMockExam();
+    showMockExam();
+    return;
+  }
+  const remaining = isRunning ? formatDuration((activeMockExam.endsAt - Date.now()) / 1000) : '';
+  if (button) button.textContent = isRunning ? `Mock Exam (${remaining})` : 'Mock Exam';
+  const countdown = document.getElementById('mockExamCountdown');
+  if (countdown && isRunning) countdown.textContent = `Time left: ${remaining}`;
+
+  if (isRunning && !mockExamInterval) {
+    mockExamInterval = setInterval(tickMockExam, 1000);
+  } else if (!isRunning && mockExamInterval) {
+    clearInterval(mockExamInterval);
+    mockExamInterval = null;
+  }
+}
+
+function renderMockExamTask(task, index, results) {
+  const resultCells = task.subItemKeys.map(key => {
+    if (!results) return `<li>${escapeHtml(key)}</li>`;
+    const selected = results[task.codeFull]?.[key] ?? notAttemptedResult;
+    const options = [notAttemptedResult, ...getRatingNames()]
+      .map(rating => `<option value="${escapeHtml(rating)}"${rating === selected ? ' selected' : ''}>${rating === notAttemptedResult ? 'not attempted' : escapeHtml(rating)}</option>`)
+      .join('');
+    return `<li>${escapeHtml(key)} <select data-code-full="${escapeHtml(task.codeFull)}" data-sub-item="${escapeHtml(key)}">${options}</select></li>`;
+  }).join('');
+  return `<li class="mock-task">
+      <strong>${index + 1}. ${escapeHtml(task.codeFull)}</strong> ${escapeHtml(task.name)}
+      <small>(Part ${escapeHtml(task.part)}, section ${escapeHtml(task.section)})</small>
+      <ul>${resultCells}</ul>
+    </li>`;
+}
+
+// Configuration form, running paper with countdown, or the locked paper with the results form
+function renderMockExam() {
+  const setup = document.getElementById('mockExamSetup');
+  const paper = document.getElementById('mockExamPaper');
+  if (!setup || !paper) return;
+  const exam = activeMockExam && activeMockExam.uid === currentUser?.uid ? activeMockExam : null;
+  setup.style.display = exam ? 'none' : 'block';
+  paper.style.display = exam ? 'block' : 'none';
+  document.getElementById('mockPartACount').value = mockExamSettings.partACount;
+  document.getElementById('mockPartBCount').value = mockExamSettings.partBCount;
+  document.getElementById('mockDuration').value = mockExamSettings.durationMinutes;
+
+  if (exam) {
+    const isLocked = Boolean(exam.lockedAt);
+    paper.classList.toggle('locked', isLocked);
+    document.getElementById('mockExamCountdown').textContent = isLocked
+      ? `Handed in after ${formatDuration((exam.lockedAt - exam.startedAt) / 1000)}. Enter a result for every sub-item.`
+      : '';
+    // Results entered so far are kept in the exam, so re-rendering or a reload doesn't lose them
+    const results = isLocked ? exam.results || {} : null;
+    document.getElementById('mockExamTasks').innerHTML = exam.tasks.map((task, index) => renderMockExamTask(task, index, results)).join('');
+    document.getElementById('handInMockExamBtn').style.display = isLocked ? 'none' : 'inline-block';
+    document.getElementById('saveMockExamBtn').style.display = isLocked ? 'inline-block' : 'none';
+  }
+  tickMockExam();
+  renderMockExamSessions();
+}
+
+// Remember a result as soon as it is picked, see renderMockExam()
+function handleMockExamResultChange(event) {
+  const select = event.target.closest('select[data-sub-item]');
+  if (!select || !activeMockExam) return;
+  activeMockExam.results = activeMockExam.results || {};
+  const taskResults = activeMockExam.results[select.dataset.codeFull] || {};
+  activeMockExam.results[select.dataset.codeFull] = { ...taskResults, [select.dataset.subItem]: select.value };
+  saveActiveMockExam();
+}
+
+/**
+ * Stores the results of the locked exam: every attempted sub-item is finished with its rating, a group
+ * whose sub-items were all attempted gets a completion attempt rated with its weakest result, and the
+ * whole exam is saved as a session for later review.
+ */
+async function saveMockExamResults() {
+  if (!activeMockExam || !activeMockExam.lockedAt || !currentUser) return;
+  const exam = activeMockExam;
+  const results = {}; // codeFull -> { subItemKey: rating or null }
+  document.querySelectorAll('#mockExamTasks select').forEach(select => {
+    const codeFull = select.dataset.codeFull;
+    (results[codeFull] = results[codeFull] || {})[select.dataset.subItem] = select.value === notAttemptedResult ? null : select.value;
+  });
+
+  const finishedAt = Timestamp.fromMillis(exam.lockedAt);
+  // Results queued by an earlier try whose session write failed are not queued (and counted) again
+  exam.queuedCodeFulls = exam.queuedCodeFulls || [];
+  exam.tasks.forEach(task => {
+    if (exam.queuedCodeFulls.includes(task.codeFull)) return;
+    const taskResults = results[task.codeFull] || {};
+    const rated = Object.entries(taskResults).filter(([, rating]) => rating);
+    if (rated.length === 0) return;
+    const subItems = Object.fromEntries(rated.map(([key, rating]) => [key, { finished: finishedAt, Rating: rating }]));
+    const write = { codeFull: task.codeFull, description: `Mock exam result for ${task.codeFull}`, progress: { subItems } };
+    if (rated.length === task.subItemKeys.length) {
+      const weakest = rated.map(([, rating]) => rating)
+        .sort((a, b) => (getRatingQuality(a) ?? defaultRatingQuality) - (getRatingQuality(b) ?? defaultRatingQuality))[0];
+      write.progress = { ...write.progress, finished: finishedAt, Rating: weakest };
+      write.attempt = {
+        id: storage.newDocId(getAttemptsCollectionPath(currentUser.uid)),
+        data: { codeFull: task.codeFull, finishedAt, rating: weakest, timeSpentSeconds: null }
+      };
+    }
+    queueProgressWrite(write);
+    exam.queuedCodeFulls.push(task.codeFull);
+  });
+  saveActiveMockExam();
+
+  const session = {
+    startedAt: Timestamp.fromMillis(exam.startedAt),
+    finishedAt,
+    durationMinutes: exam.durationMinutes,
+    tasks: exam.tasks.map(task => ({ ...task, results: results[task.codeFull] || {} })),
+    updatedAt: storage.serverTime()
+  };
+  try {
+    await storage.commitWrites([{ type: 'set', path: [...getMockExamsCollectionPath(currentUser.uid), exam.id], data: session }]);
+    activeMockExam = null;
+    saveActiveMockExam();
+    renderMockExam();
+    document.getElementById('mockExamStatus').textContent = 'Mock exam saved.';
+  } catch (error) {
+    handleError("Error saving the mock exam", error); // The exam stays locked, saving can be retried
+  }
+}
+
+// Count of sub-item results per rating, e.g. "easy 12, hard 3, not attempted 5"
+function summarizeMockExamResults(session) {
+  const counts = {};
+  session.tasks.forEach(task => task.subItemKeys.forEach(key => {
+    const result = task.results?.[key] || 'not attempted';
+    counts[result] = (counts[result] || 0) + 1;
+  }));
+  return Object.entries(counts).map(([result, count]) => `${escapeHtml(result)} ${count}`).join(', ');
+}
+
+function renderMockExamSessions() {
+  const container = document.getElementById('mockExamSessions');
+  if (!container) return;
+  if (mockExamSessions.length === 0) {
+    container.innerHTML = '<p>No mock exams saved yet.</p>';
+    return;
+  }
+  container.innerHTML = mockExamSessions.map(session => {
+    const usedSeconds = (session.finishedAt.toMillis() - session.startedAt.toMillis()) / 1000;
+    const tasks = session.tasks.map(task => `<li>${escapeHtml(task.codeFull)} ${escapeHtml(task.name)}: ` +
+      task.subItemKeys.map(key => `${escapeHtml(key)} ${escapeHtml(task.results?.[key] || 'not attempted')}`).join(', ') +
+      '</li>').join('');
+    return `<details class="mock-session">
+        <summary>${escapeHtml(formatDate(session.startedAt))}: ${session.tasks.length} tasks,
+          ${formatDuration(usedSeconds)} of ${session.durationMinutes} min - ${summarizeMockExamResults(session)}</summary>
+        <ol>${tasks}</ol>
+      </details>`;
+  }).join('');
+}
+
+// --- Task Timer ---
+// Starts when a task is opened (table row, study plan or Pick Random Task) and keeps running after
+// the modal is closed, until the task is marked done. Kept in localStorage so a reload doesn't lose it.
+
+const activeTimerKey = "dashsy.activeTimer"; // localStorage key
+const SLOW_ATTEMPT_FACTOR = 2; // Attempts taking this many times their section's average are flagged
+const SLOW_ATTEMPT_MIN_SAMPLES = 3; // Timed attempts a section needs before anything is flagged
+let activeTimer = loadActiveTimer(); // { codeFull, itemId, startedAt: ms or null while paused, elapsedMs }
+let timerInterval = null;
+
+function loadActiveTimer() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(activeTimerKey) || 'null');
+    return stored && stored.codeFull && typeof stored.elapsedMs === 'number' ? stored : null;
+  } catch (error) {
+    console.warn("Could not read the running timer, starting without one.", error);
+    return null;
+  }
+}
+
+function saveActiveTimer() {
+  if (activeTimer) localStorage.setItem(activeTimerKey, JSON.stringify(activeTimer));
+  else localStorage.removeItem(activeTimerKey);
+}
+
+function getTimerElapsedMs() {
+  if (!activeTimer) return 0;
+  return activeTimer.elapsedMs + (activeTimer.startedAt ? Date.now() - activeTimer.startedAt : 0);
+}
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Start timing a codeFull group, replacing any running timer
+function startTaskTimer(codeFull, itemId) {
+  if (activeTimer && activeTimer.codeFull !== codeFull) {
+    console.log(`Discarding timer of ${activeTimer.codeFull} (${formatDuration(getTimerElapsedMs() / 1000)}).`);
+  }
+  activeTimer = { codeFull, itemId, startedAt: Date.now(), elapsedMs: 0 };
+  saveActiveTimer();
+  renderTaskTimer();
+}
+
+function toggleTaskTimerPause() {
+  if (!activeTimer) return;
+  if (activeTimer.startedAt) {
+    activeTimer.elapsedMs = getTimerElapsedMs();
+    activeTimer.startedAt = null;
+  } else {
+    activeTimer.startedAt = Date.now();
+  }
+  saveActiveTimer();
+  renderTaskTimer();
+}
+
+function stopTaskTimer() {
+  activeTimer = null;
+  saveActiveTimer();
+  renderTaskTimer();
+}
+
+/* Seconds to store with a completion of the codeFull group: the timer's time when it was timing
+   that group (the timer is stopped), otherwise null. */
+function takeTimerSeconds(codeFull) {
+  if (!activeTimer || activeTimer.codeFull !== codeFull) return null;
+  const seconds = Math.round(getTimerElapsedMs() / 1000);
+  stopTaskTimer();
+  return seconds;
+}
+
+// Update the floating timer bar and the timer line in the done modal; ticks every second while running
+function renderTaskTimer() {
+  const timerBar = document.getElementById('timerBar');
+  const modalTimer = document.getElementById('modalTimer');
+  const elapsed = formatDuration(getTimerElapsedMs() / 1000);
+  const isRunning = Boolean(activeTimer && activeTimer.startedAt);
+
+  if (timerBar) {
+    timerBar.style.display = activeTimer ? 'block' : 'none';
+    if (activeTimer) {
+      document.getElementById('timerLabel').textContent =
+        `${activeTimer.codeFull}: ${elapsed}${isRunning ? '' : ' (paused)'}`;
+      document.getElementById('timerToggleBtn').textContent = isRunning ? 'Pause' : 'Resume';
+    }
+  }
+
+  if (modalTimer) {
+    const modalItem = dashboardItems.find(item => item.id === currentItemId);
+    if (!modalItem) {
+      modalTimer.innerHTML = '';
+    } else if (activeTimer && activeTimer.codeFull === modalItem.codeFull) {
+      modalTimer.innerHTML = `Timer: <strong>${elapsed}</strong>${isRunning ? '' : ' (paused)'}
+        <button type="button" data-timer-action="toggle">${isRunning ? 'Pause' : 'Resume'}</button>`;
+    } else {
+      modalTimer.innerHTML = `${activeTimer ? `Timer is running for ${escapeHtml(activeTimer.codeFull)}. ` : ''}
+        <button type="button" data-timer-action="start">Start timer for this task</button>`;
+    }
+  }
+
+  if (isRunning && !timerInterval) {
+    timerInterval = setInterval(renderTaskTimer, 1000);
+  } else if (!isRunning && timerInterval) {
+    clearInterval(timerInterval);
+    timerInterval = null;
+  }
+}
+
+function handleModalTimerClick(event) {
+  const action = event.target.dataset.timerAction;
+  if (action === 'toggle') {
+    toggleTaskTimerPause();
+  } else if (action === 'start') {
+    const modalItem = dashboardItems.find(item => item.id === currentItemId);
+    if (modalItem) startTaskTimer(modalItem.codeFull, modalItem.id);
+  }
+}
+
+// Reopen the done modal of the timed task from the timer bar
+function openTimedTask() {
+  if (!activeTimer) return;
+  const item = dashboardItems.find(candidate => candidate.id === activeTimer.itemId) ||
+    dashboardItems.find(candidate => candidate.codeFull === activeTimer.codeFull);
+  if (item) openDoneModal(item.codeFull, item.id);
+}
+
+/**
+ * Average time per section and per rating over all timed attempts, and the attempts that took
+ * SLOW_ATTEMPT_FACTOR times their section's average or longer.
+ */
+function computeTimeStats() {
+  const sectionByCodeFull = new Map();
+  const itemsByCodeFull = new Map();
+  dashboardItems.forEach(item => {
+    if (!itemsByCodeFull.has(item.codeFull)) itemsByCodeFull.set(item.codeFull, []);
+    itemsByCodeFull.get(item.codeFull).push(item);
+  });
+  itemsByCodeFull.forEach((groupItems, codeFull) => sectionByCodeFull.set(codeFull, getGroupSection(groupItems)));
+
+  const timedAttempts = Object.values(attemptsByCodeFull).flat()
+    .filter(attempt => attempt.timeSpentSeconds > 0)
+    .map(attempt => ({ ...attempt, section: sectionByCodeFull.get(attempt.codeFull) || 'No section' }));
+
+  const average = (attempts, getKey) => {
+    const totals = new Map();
+    attempts.forEach(attempt => {
+      const key = getKey(attempt);
+      const total = totals.get(key) || { key, count: 0, seconds: 0 };
+      total.count++;
+      total.seconds += attempt.timeSpentSeconds;
+      totals.set(key, total);
+    });
+    return [...totals.values()]
+      .map(total => ({ ...total, averageSeconds: total.seconds / total.count }))
+      .sort((a, b) => naturalCompare(a.key, b.key));
+  };
+  const bySection = average(timedAttempts, attempt => attempt.section);
+  const byRating = average(timedAttempts, attempt => attempt.rating || 'unrated');
+
+  const sectionAverages = new Map(bySection.map(stats => [stats.key, stats]));
+  const slowAttempts = timedAttempts
+    .filter(attempt => {
+      const stats = sectionAverages.get(attempt.section);
+      return stats.count >= SLOW_ATTEMPT_MIN_SAMPLES && attempt.timeSpentSeconds >= SLOW_ATTEMPT_FACTOR * stats.averageSeconds;
+    })
+    .map(attempt => ({ ...attempt, sectionAverageSeconds: sectionAverages.get(attempt.section).averageSeconds }))
+    .sort((a, b) => (b.timeSpentSeconds / b.sectionAverageSeconds) - (a.timeSpentSeconds / a.sectionAverageSeconds));
+
+  return { timedCount: timedAttempts.length, bySection, byRating, slowAttempts };
+}
+
+function renderTimeAnalytics() {
+  const container = document.getElementById('timeAnalytics');
+  if (!container) return;
+  const { timedCount, bySection, byRating, slowAttempts } = computeTimeStats();
+  if (timedCount === 0) {
+    container.innerHTML = '<p>No timed attempts yet. The timer starts when you open a task.</p>';
+    return;
+  }
+  const averageRows = list => list.map(stats =>
+    `<tr><td>${escapeHtml(stats.key)}</td><td>${stats.count}</td><td>${formatDuration(stats.averageSeconds)}</td></tr>`).join('');
+  const slowRows = slowAttempts.map(attempt => `<tr>
+      <td>${escapeHtml(attempt.codeFull)}</td>
+      <td>${escapeHtml(formatDate(attempt.finishedAt))}</td>
+      <td>${escapeHtml(attempt.section)}</td>
+      <td>${formatDuration(attempt.timeSpentSeconds)}</td>
+      <td>${formatDuration(attempt.sectionAverageSeconds)} (${(attempt.timeSpentSeconds / attempt.sectionAverageSeconds).toFixed(1)}x)</td>
+    </tr>`).join('');
+  container.innerHTML = `
+    <div class="time-tables">
+      <table><thead><tr><th>Section</th><th>Timed</th><th>Average</th></tr></thead><tbody>${averageRows(bySection)}</tbody></table>
+      <table><thead><tr><th>Rating</th><th>Timed</th><th>Average</th></tr></thead><tbody>${averageRows(byRating)}</tbody></table>
+    </div>
+    <h4>Much slower than the section average (${SLOW_ATTEMPT_FACTOR}x or more)</h4>
+    ${slowAttempts.length > 0
+      ? `<table class="slow-attempts"><thead><tr><th>Task</th><th>Finished</th><th>Section</th><th>Time</th><th>Section average</th></tr></thead><tbody>${slowRows}</tbody></table>`
+      : '<p>None.</p>'}
+  `;
+}
+
+// --- Notes and Attachments ---
+// One notes document per codeFull (users/{uid}/notes/{codeFull}): markdown text plus the metadata of
+// attached solution files. The files themselves go through storage.uploadFile.
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // Files must be smaller, keep in sync with storage.rules
+const attachmentTypePattern = /^(image\/.+|application\/pdf)$/;
+let notesByCodeFull = {}; // Notes documents of the signed-in user, keyed by codeFull
+let attachmentObjectUrls = []; // Thumbnail URLs of the attachment list, revoked when it is re-rendered
+
+// Collection holding one notes document per codeFull for the given user
+function getNotesCollectionPath(uid) {
+  return ["users", uid, "notes"];
+}
+
+function hasNotes(codeFull) {
+  const notes = notesByCodeFull[codeFull];
+  return Boolean(notes && ((notes.text || '').trim() !== '' || (notes.attachments || []).length > 0));
+}
+
+/* Markdown to HTML. marked and DOMPurify are loaded from the CDN; without them the text is shown as is. */
+function renderMarkdown(text) {
+  if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+    return escapeHtml(text).replace(/\n/g, '<br>');
+  }
+  return DOMPurify.sanitize(marked.parse(text));
+}
+
+// Pencil marker after the codeFull of tasks with notes or attachments
+function appendNotesMarker(td, codeFull) {
+  if (!hasNotes(codeFull)) return;
+  const attachmentCount = (notesByCodeFull[codeFull].attachments || []).length;
+  const marker = document.createElement('span');
+  marker.className = 'notes-marker';
+  marker.textContent = ' \u270E';
+  marker.title = attachmentCount > 0 ? `Has notes (${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'})` : 'Has notes';
+  td.appendChild(marker);
+}
+
+// Fill the notes part of the done modal for a codeFull group
+function renderNotesSection(codeFull) {
+  const notesInput = document.getElementById('notesInput');
+  if (!notesInput) return;
+  const notes = notesByCodeFull[codeFull] || {};
+  const canEdit = Boolean(currentUser);
+  notesInput.value = notes.text || '';
+  notesInput.disabled = !canEdit;
+  document.getElementById('saveNotesBtn').disabled = !canEdit;
+  document.getElementById('attachmentInput').disabled = !canEdit;
+  document.getElementById('notesStatus').textContent = canEdit ? '' : 'Sign in to keep notes.';
+  renderNotesPreview();
+  renderAttachmentList(codeFull);
+}
+
+function renderNotesPreview() {
+  const preview = document.getElementById('notesPreview');
+  if (preview) preview.innerHTML = renderMarkdown(document.getElementById('notesInput').value);
+}
+
+function renderAttachmentList(codeFull) {
+  const list = document.getElementById('attachmentList');
+  if (!list) return;
+  attachmentObjectUrls.forEach(url => URL.revokeObjectURL(url));
+  attachmentObjectUrls = [];
+  const attachments = notesByCodeFull[codeFull]?.attachments || [];
+  list.innerHTML = attachments.map(attachment => `
+    <li data-path="${escapeHtml(attachment.path)}">
+      ${attachment.contentType.startsWith('image/') ? '<img class="attachment-thumb" alt="">' : ''}
+      <span>${escapeHtml(attachment.name)} (${Math.ceil(attachment.size / 1024)} KB)</span>
+      <button type="button" data-attachment-action="open">Open</button>
+      <button type="button" data-attachment-action="remove">Remove</button>
+    </li>`).join('');
+  // Thumbnails need a download URL, which is only available asynchronously
+  list.querySelectorAll('li').forEach(li => {
+    const img = li.querySelector('img');
+    if (!img) return;
+    storage.getFileUrl(li.dataset.path)
+      .then(url => {
+        if (url.startsWith('blob:')) attachmentObjectUrls.push(url);
+        img.src = url;
+      })
+      .catch(error => console.warn(`Could not load thumbnail of ${li.dataset.path}:`, error));
+  });
+}
+
+function getModalCodeFull() {
+  return dashboardItems.find(item => item.id === currentItemId)?.codeFull ?? null;
+}
+
+// Save the markdown notes of the modal's task; empty notes without attachments delete the document
+async function saveNotes() {
+  const codeFull = getModalCodeFull();
+  if (!codeFull || !currentUser) return;
+  const text = document.getElementById('notesInput').value;
+  const path = [...getNotesCollectionPath(currentUser.uid), codeFull];
+  const status = document.getElementById('notesStatus');
+  const hasAttachments = (notesByCodeFull[codeFull]?.attachments || []).length > 0;
+  try {
+    await storage.commitWrites([text.trim() === '' && !hasAttachments
+      ? { type: 'delete', path }
+      : { type: 'set', path, data: { codeFull, text, updatedAt: storage.serverTime() }, merge: true }]);
+    status.textContent = 'Notes saved.';
+  } catch (error) {
+    handleError(`Failed to save notes of ${codeFull}`, error);
+  }
+}
+
+/**
+ * Upload the files picked in the done modal and add them to the task's notes document.
+ * Only images and PDFs smaller than MAX_ATTACHMENT_BYTES are accepted, others are skipped with a message.
+ */
+async function handleAttachmentSelect(event) {
+  const codeFull = getModalCodeFull();
+  const files = [...event.target.files];
+  event.target.value = ''; // Picking the same file again should trigger another change
+  if (!codeFull || !currentUser || files.length === 0) return;
+
+  const status = document.getElementById('notesStatus');
+  const notesPath = [...getNotesCollectionPath(currentUser.uid), codeFull];
+  const added = [];
+  const skipped = [];
+  for (const file of files) {
+    if (!attachmentTypePattern.test(file.type) || file.size >= MAX_ATTACHMENT_BYTES) {
+      skipped.push(file.name);
+      continue;
+    }
+    status.textContent = `Uploading ${file.name}...`;
+    try {
+      const id = storage.newDocId(getNotesCollectionPath(currentUser.uid)); // Only used to keep file names unique
+      const path = `users/${currentUser.uid}/attachments/${codeFull}/${id}-${file.name.replace(/[^\w.-]+/g, '_')}`;
+      await storage.uploadFile(path, file);
+      added.push({ id, name: file.name, contentType: file.type, size: file.size, path, uploadedAt: Timestamp.now() });
+    } catch (error) {
+      handleError(`Failed to upload ${file.name}`, error);
+    }
+  }
+
+  if (added.length > 0) {
+    const attachments = [...(notesByCodeFull[codeFull]?.attachments || []), ...added];
+    try {
+      await storage.commitWrites([{ type: 'set', path: notesPath, data: { codeFull, attachments, updatedAt: storage.serverTime() }, merge: true }]);
+    } catch (error) {
+      handleError(`Failed to save attachments of ${codeFull}`, error);
+    }
+  }
+  status.textContent = [
+    added.length > 0 ? `Attached ${added.length} file(s).` : '',
+    skipped.length > 0 ? `Skipped (only images and PDFs under ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB): ${skipped.join(', ')}.` : ''
+  ].join(' ').trim();
+}
+
+async function handleAttachmentListClick(event) {
+  const action = event.target.dataset.attachmentAction;
+  const codeFull = getModalCodeFull();
+  if (!action || !codeFull || !currentUser) return;
+  const path = event.target.closest('li').dataset.path;
+
+  if (action === 'open') {
+    // Open the tab right away, popup blockers only allow it directly in the click handler
+    const newTab = window.open('', '_blank');
+    try {
+      const url = await storage.getFileUrl(path);
+      if (newTab) newTab.location.href = url;
+      else window.location.href = url;
+    } catch (error) {
+      if (newTab) newTab.close();
+      handleError(`Failed to open attachment ${path}`, error);
+    }
+    return;
+  }
+
+  const attachments = notesByCodeFull[codeFull]?.attachments || [];
+  const attachment = attachments.find(candidate => candidate.path === path);
+  if (!attachment || !confirm(`Remove ${attachment.name}?`)) return;
+  try {
+    await storage.deleteFile(path);
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found') {
+      handleError(`Failed to delete attachment ${attachment.name}`, error);
+      return;
+    }
+  }
+  try {
+    await storage.commitWrites([{
+      type: 'set',
+      path: [...getNotesCollectionPath(currentUser.uid), codeFull],
+      data: { attachments: attachments.filter(candidate => candidate.path !== path), updatedAt: storage.serverTime() },
+      merge: true
+    }]);
+  } catch (error) {
+    handleError(`Failed to update attachments of ${codeFull}`, error);
+  }
+}
+
+// --- Task Content Viewer ---
+// Shows the task sheet and its solution (PDF or image) inside the app. data/task_content.json maps
+// codeFulls to files: explicit entries in "tasks" (optionally per sub-item, keyed by codeSection)
+// win over the file name "patterns"; paths are relative to "baseUrl". See the README for an example.
+
+const TASK_CONTENT_MAP_PATH = "data/task_content.json";
+const imageFilePattern = /\.(png|jpe?g|gif|webp|svg)(\?|#|$)/i;
+let taskContentMapPromise = null; // The mapping file is only fetched on first use
+let viewerCodeFull = null; // codeFull shown in the task viewer
+
+function loadTaskContentMap() {
+  if (!taskContentMapPromise) {
+    taskContentMapPromise = fetch(TASK_CONTENT_MAP_PATH)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} while fetching ${TASK_CONTENT_MAP_PATH}`);
+        return response.json();
+      })
+      .catch(error => {
+        taskContentMapPromise = null; // Try again next time, e.g. after the file was added
+        throw error;
+      });
+  }
+  return taskContentMapPromise;
+}
+
+/**
+ * Resolves the task and solution file of a codeFull group, or of one of its sub-items.
+ * @param {object} contentMap Parsed data/task_content.json.
+ * @param {string} codeFull Group code, e.g. "A_280".
+ * @param {?string} subItemKey Sub-item (codeSection, e.g. "A_280 b"), null for the whole task.
+ * @returns {{task: ?string, solution: ?string}} Absolute URLs, null when nothing is mapped.
+ */
+function resolveTaskContent(contentMap, codeFull, subItemKey) {
+  const entry = contentMap.tasks?.[codeFull] || {};
+  const subEntry = (subItemKey && entry.subItems?.[subItemKey]) || {};
+  const baseUrl = new URL(contentMap.baseUrl || '', document.baseURI);
+  const fillPattern = pattern => pattern
+    ? pattern.replace(/\{codeFull\}/g, codeFull).replace(/\{codeSection\}/g, subItemKey ?? codeFull)
+    : null;
+  const toUrl = path => path ? new URL(path, baseUrl).href : null;
+  return {
+    task: toUrl(subEntry.task ?? entry.task ?? fillPattern(contentMap.patterns?.task)),
+    solution: toUrl(subEntry.solution ?? entry.solution ?? fillPattern(contentMap.patterns?.solution))
+  };
+}
+
+// The solution stays hidden until the group was marked done at least once
+function isSolutionUnlocked(codeFull) {
+  return getAttemptHistory(codeFull).length > 0 || getGroupStatus(codeFull).isDone;
+}
+
+// HEAD request so a missing file shows a hint instead of the server's error page
+async function contentFileExists(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    return response.ok;
+  } catch (error) {
+    return true; // e.g. opened from file://, where HEAD requests fail; let the frame try
+  }
+}
+
+async function renderContentFrame(container, url, label) {
+  if (!url) {
+    container.innerHTML = `<p>No ${label} is mapped for this task in ${TASK_CONTENT_MAP_PATH}.</p>`;
+    return;
+  }
+  container.innerHTML = `<p>Loading ${label}...</p>`;
+  if (!(await contentFileExists(url))) {
+    container.innerHTML = `<p>No ${label} found at <code>${escapeHtml(url)}</code>. Add the file or map it in ${TASK_CONTENT_MAP_PATH}.</p>`;
+    return;
+  }
+  container.innerHTML = imageFilePattern.test(url)
+    ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}">`
+    : `<iframe src="${escapeHtml(url)}" title="${escapeHtml(label)}"></iframe>`;
+}
+
+async function renderTaskViewer() {
+  if (!viewerCodeFull) return;
+  const codeFull = viewerCodeFull;
+  const subItemSelect = document.getElementById('viewerSubItem');
+  const solutionToggle = document.getElementById('viewerShowSolution');
+  const solutionDiv = document.getElementById('viewerSolution');
+  const unlocked = isSolutionUnlocked(codeFull);
+  solutionToggle.disabled = !unlocked;
+  if (!unlocked) solutionToggle.checked = false;
+  document.getElementById('viewerSolutionHint').textContent = unlocked ? '' : 'Mark the task as done to see the solution.';
+
+  let contentMap;
+  try {
+    contentMap = await loadTaskContentMap();
+  } catch (error) {
+    document.getElementById('viewerTask').innerHTML = `<p>Could not load ${TASK_CONTENT_MAP_PATH}.</p>`;
+    solutionDiv.innerHTML = '';
+    handleError(`Error loading ${TASK_CONTENT_MAP_PATH}`, error);
+    return;
+  }
+  if (codeFull !== viewerCodeFull) return; // Another task was opened meanwhile
+  const { task, solution } = resolveTaskContent(contentMap, codeFull, subItemSelect.value || null);
+  await renderContentFrame(document.getElementById('viewerTask'), task, 'task sheet');
+  solutionDiv.style.display = solutionToggle.checked ? 'block' : 'none';
+  if (solutionToggle.checked) await renderContentFrame(solutionDiv, solution, 'solution');
+  else solutionDiv.innerHTML = '';
+}
+
+function openTaskViewer(codeFull) {
+  if (!codeFull) return;
+  viewerCodeFull = codeFull;
+  const groupItems = dashboardItems.filter(item => item.codeFull === codeFull);
+  document.getElementById('viewerTitle').textContent =
+    groupItems.length > 0 ? `${codeFull}: ${getGroupName(groupItems)}` : codeFull;
+  const subItemKeys = [...new Set(groupItems.map(getSubItemKey))].sort(naturalCompare);
+  const subItemSelect = document.getElementById('viewerSubItem');
+  subItemSelect.innerHTML = `<option value="">Whole task</option>` + subItemKeys
+    .map(key => `<option value="${escapeHtml(key)}">${escapeHtml(key)}</option>`).join('');
+  subItemSelect.style.display = subItemKeys.length > 1 ? 'inline-block' : 'none';
+  document.getElementById('viewerShowSolution').checked = false;
+  document.getElementById('taskViewerModal').style.display = 'block';
+  renderTaskViewer();
+}
+
+function closeTaskViewer() {
+  const modal = document.getElementById('taskViewerModal');
+  if (modal) modal.style.display = 'none';
+  viewerCodeFull = null;
+  document.getElementById('viewerTask').innerHTML = ''; // Stop loading large PDFs in the background
+  document.getElementById('viewerSolution').innerHTML = '';
+}
+
+// --- Modal Interactions ---
+
+function openDoneModal(codeFull, itemId) {
+  currentItemId = itemId; // Store the Firestore ID
+  document.getElementById('codeFullText').textContent = `Task: ${codeFull}`; // Display code_full
+  // Pre-fill rating based on current item data
+  const currentItem = dashboardItems.find(item => item.id === itemId);
+  prefillRatingSelect(currentItem);
+  renderAttemptHistory(currentItem);
+  renderNotesSection(codeFull);
+  renderTagInput(codeFull);
+  document.getElementById('timeSpentInput').value = '';
+  if (!activeTimer) startTaskTimer(codeFull, itemId); // A running timer of another task is kept, see renderTaskTimer
+  renderTaskTimer();
+  console.log("Opening doneModal for Item ID:", itemId);
+  document.getElementById('doneModal').style.display = 'block';
+}
+
+// Select the item's current rating in the done modal's rating select
+function prefillRatingSelect(currentItem) {
+  const ratingSelect = document.getElementById('ratingSelect');
+  renderRatingOptions(); // The scale may have changed since the last time
+  if (currentItem && currentItem.Rating && ratingSelect) {
+      // Handle potential multiple ratings string - Use last one
+      const ratingValue = typeof currentItem.Rating === 'string' ? currentItem.Rating.split(',').pop().trim() : currentItem.Rating;
+      // Ensure the value exists in the dropdown options
+      if ([...ratingSelect.options].map(o => o.value).includes(String(ratingValue))) {
+         ratingSelect.value = String(ratingValue);
+      } else {
+         console.warn(`Rating value '${ratingValue}' is not on the rating scale.`);
+         ratingSelect.value = ''; // Default if rating value not found
+      }
+  } else if (ratingSelect) {
+      ratingSelect.value = ''; // Default if no item or rating found
+  }
+}
+
+// Show the previous attempts of the item's codeFull group inside the done modal
+function renderAttemptHistory(item) {
+  const historyDiv = document.getElementById('attemptHistory');
+  if (!historyDiv) return;
+  const attempts = item ? item.attemptHistory : [];
+  if (attempts.length === 0) {
+    historyDiv.textContent = 'No attempts yet.';
+    return;
+  }
+  const rows = attempts.map((attempt, index) => {
+    const minutes = attempt.timeSpentSeconds != null ? `${Math.round(attempt.timeSpentSeconds / 60)} min` : '';
+    return `<li>#${index + 1}: ${escapeHtml(formatDate(attempt.finishedAt))} ${escapeHtml(attempt.rating ?? '')} ${minutes}</li>`;
+  }).join('');
+  historyDiv.innerHTML = `<strong>Attempts: ${attempts.length}</strong><ol class="attempt-list">${rows}</ol>`;
+}
+
+function closeDoneModal() {
+  const modal = document.getElementById('doneModal');
+  if (modal) modal.style.display = 'none';
+  currentItemId = null; // Clear stored ID when modal closes
+}
+
+
+// --- Firestore Interaction Functions --- (Add this new function here)
+
+/**
+ * Updates the signed-in user's progress for a codeFull group (users/{uid}/progress/{codeFull}).
+ * All sub-items sharing the codeFull pick up the change when progress is merged into the table.
+ * The write is queued (see queueProgressWrite) and shown right away, also while offline.
+ * @param {string} codeFullValue The codeFull value identifying the group.
+ * @param {object} dataToUpdate An object containing the progress fields (finished, Rating) to update.
+ */
+async function updateItemGroupByCodeFull(codeFullValue, dataToUpdate) {
+  if (!codeFullValue) {
+    handleError("Group update failed: No codeFull value provided", { message: "codeFull is empty." });
+    return;
+  }
+  if (!currentUser) {
+    handleError("Sign in to save your progress", { message: "No user signed in." });
+    return;
+  }
+  console.log(`Updating progress of user ${currentUser.uid} for codeFull '${codeFullValue}' with data:`, dataToUpdate);
+
+  queueProgressWrite({
+    codeFull: codeFullValue,
+    description: `Update ${Object.keys(dataToUpdate).join(', ')} of ${codeFullValue}`,
+    progress: dataToUpdate
+  });
+  // UI updates right away from the queued write; close modals now instead of waiting for the server.
+  closeDoneModal();
+}
+
+/**
+ * Records a completion attempt for a codeFull group as its own document in users/{uid}/attempts
+ * and updates the group's progress document (last finished time and rating) in the same queued write.
+ * @param {string} codeFullValue The codeFull value identifying the group.
+ * @param {{rating: ?string, timeSpentSeconds: ?number}} attemptData Rating and optional time spent on this attempt.
+ */
+async function recordAttempt(codeFullValue, attemptData) {
+  if (!codeFullValue) {
+    handleError("Recording attempt failed: No codeFull value provided", { message: "codeFull is empty." });
+    return;
+  }
+  if (!currentUser) {
+    handleError("Sign in to save your progress", { message: "No user signed in." });
+    return;
+  }
+
+  const now = Timestamp.now();
+  const attempt = {
+    codeFull: codeFullValue,
+    finishedAt: now,
+    rating: attemptData.rating ?? null,
+    timeSpentSeconds: attemptData.timeSpentSeconds ?? null
+  };
+  const progressUpdate = { finished: now };
+  if (attempt.rating) progressUpdate.Rating = attempt.rating;
+
+  console.log(`Recording attempt for codeFull '${codeFullValue}':`, attempt);
+  queueProgressWrite({
+    codeFull: codeFullValue,
+    description: `Mark ${codeFullValue} as done${attempt.rating ? ` (${attempt.rating})` : ''}`,
+    progress: progressUpdate,
+    // The ID is generated locally so the queued attempt keeps it once it reaches the server
+    attempt: { id: storage.newDocId(getAttemptsCollectionPath(currentUser.uid)), data: attempt }
+  });
+  closeDoneModal();
+}
+
+// Update the rating stored on an existing attempt document (e.g. the latest one after re-rating)
+async function updateAttemptRating(codeFullValue, attemptId, ratingValue) {
+  if (!attemptId || !currentUser) return;
+  queueProgressWrite({
+    codeFull: codeFullValue,
+    description: `Rate latest attempt of ${codeFullValue} as ${ratingValue}`,
+    attemptUpdate: { id: attemptId, data: { rating: ratingValue } }
+  });
+}
+
+/**
+ * Updates the progress of a single sub-item (e.g. "A_280 b") inside its group's progress document.
+ * @param {string} codeFullValue The codeFull value identifying the group.
+ * @param {string} subItemKey The sub-item key, see getSubItemKey().
+ * @param {object} dataToUpdate The sub-item fields (finished, Rating) to update.
+ */
+async function updateSubItemProgress(codeFullValue, subItemKey, dataToUpdate) {
+  if (!currentUser) {
+    handleError("Sign in to save your progress", { message: "No user signed in." });
+    return;
+  }
+  console.log(`Updating sub-item '${subItemKey}' of codeFull '${codeFullValue}' with data:`, dataToUpdate);
+  // Nested maps are merged, so other sub-items keep their values
+  queueProgressWrite({
+    codeFull: codeFullValue,
+    description: `Update ${Object.keys(dataToUpdate).join(', ')} of ${subItemKey}`,
+    progress: { subItems: { [subItemKey]: dataToUpdate } }
+  });
+}
+
+// --- Offline Queue and Sync ---
+// Progress writes go into a queue kept in localStorage and are sent one at a time, so marking tasks
+// done works offline and survives a reload. Firestore's offline persistence (index.html) keeps the
+// catalogue and progress readable meanwhile. Each progress document carries a revision and the ID of
+// the device that wrote it last; a queued write based on an older revision from another device is a
+// conflict the user resolves in the conflict modal.
+
+const outboxStorageKey = "dashsy.outbox"; // localStorage key
+const deviceIdStorageKey = "dashsy.deviceId"; // localStorage key
+const SYNC_RETRY_DELAY_MS = 15000; // Wait before sending the queue again after a failed attempt
+const permanentWriteErrors = ["permission-denied", "invalid-argument", "not-found"]; // Retrying won't help
+const syncBookkeepingFields = ["revision", "deviceId", "updatedAt"]; // Written on progress documents by the queue, not by the user
+const deviceId = loadDeviceId();
+let outbox = loadOutbox(); // Queued writes of all users on this device, oldest first
+let isFlushingOutbox = false;
+let syncRetryTimer = null;
+let lastSyncError = null; // Error of the last failed send, shown in the sync indicator tooltip
+let storageConnected = null; // null until the first snapshot, false while data only comes from the cache
+let pendingConflict = null; // { op, serverProgress } while the conflict modal is open
+
+// Random ID telling this browser's writes apart from other devices of the same user
+function loadDeviceId() {
+  let id = localStorage.getItem(deviceIdStorageKey);
+  if (!id) {
+    id = generateLocalId();
+    localStorage.setItem(deviceIdStorageKey, id);
+  }
+  return id;
+}
+
+function loadOutbox() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(outboxStorageKey) || '[]', timestampReviver);
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn("Could not read queued writes, starting with an empty queue.", error);
+    return [];
+  }
+}
+
+function saveOutbox() {
+  localStorage.setItem(outboxStorageKey, JSON.stringify(outbox, timestampReplacer));
+}
+
+// Queued writes of the signed-in user, oldest first
+function getPendingWrites() {
+  return currentUser ? outbox.filter(op => op.uid === currentUser.uid) : [];
+}
+
+/* Rebuild progressByCodeFull/attemptsByCodeFull from the server state with the queued writes
+   applied on top, the same way Firestore will merge them. */
+function applyPendingWrites() {
+  const progress = { ...serverProgressByCodeFull };
+  const attempts = {};
+  Object.entries(serverAttemptsByCodeFull).forEach(([codeFull, list]) => { attempts[codeFull] = [...list]; });
+
+  getPendingWrites().forEach(op => {
+    if (op.progress) {
+      progress[op.codeFull] = mergeProgressFields(progress[op.codeFull] || { codeFull: op.codeFull }, op.progress);
+    }
+    let list = attempts[op.codeFull] || [];
+    if (op.attempt && !list.some(attempt => attempt.id === op.attempt.id)) {
+      list.push({ id: op.attempt.id, ...op.attempt.data });
+    }
+    if (op.attemptUpdate) {
+      list.forEach((attempt, index) => {
+        if (attempt.id === op.attemptUpdate.id) list[index] = { ...attempt, ...op.attemptUpdate.data };
+      });
+    }
+    if (op.attemptDelete) list = list.filter(attempt => attempt.id !== op.attemptDelete);
+    if (list.length > 0) attempts[op.codeFull] = list;
+    else delete attempts[op.codeFull];
+  });
+
+  progressByCodeFull = progress;
+  attemptsByCodeFull = attempts;
+}
+
+// Progress fields merged into a progress document the way Firestore merges them: sub-items field by field
+function mergeProgressFields(current, progressUpdate) {
+  const merged = { ...current, ...progressUpdate };
+  if (progressUpdate.subItems) {
+    merged.subItems = { ...current.subItems };
+    Object.entries(progressUpdate.subItems).forEach(([key, data]) => {
+      merged.subItems[key] = { ...merged.subItems[key], ...data };
+    });
+  }
+  return merged;
+}
+
+/**
+ * Queues a write for the signed-in user, shows it in the table right away and starts sending the queue.
+ * @param {object} write
+ * @param {string} write.codeFull Group the write belongs to; conflicts are detected per codeFull.
+ * @param {string} write.description Short text for the pending-writes list.
+ * @param {object} [write.progress] Fields merged into users/{uid}/progress/{codeFull}.
+ * @param {{id: string, data: object}} [write.attempt] New document for users/{uid}/attempts.
+ * @param {{id: string, data: object}} [write.attemptUpdate] Fields updated on an existing attempt.
+ * @param {string} [write.attemptDelete] ID of an attempt to delete (reverting a "Mark as Done").
+ * @param {string} [write.revertOf] Activity entry this write reverts, see revertActivityEntry().
+ */
+function queueProgressWrite(write) {
+  queueProgressWrites([write]);
+}
+
+// Queue several writes (see queueProgressWrite) and refresh the views once, e.g. for an import
+function queueProgressWrites(writes) {
+  const loggedEntries = [];
+  writes.forEach(write => {
+    const activityChanges = getQueuedWriteChanges(write); // Before the write shows up in progressByCodeFull
+    outbox.push({
+      id: generateLocalId(),
+      uid: currentUser.uid,
+      codeFull: write.codeFull,
+      description: write.description,
+      createdAt: Timestamp.now(),
+      // The revision this write was made against; the server having a newer one from another device is a conflict
+      baseRevision: serverProgressByCodeFull[write.codeFull]?.revision ?? 0,
+      progress: write.progress ?? null,
+      attempt: write.attempt ?? null,
+      attemptUpdate: write.attemptUpdate ?? null,
+      attemptDelete: write.attemptDelete ?? null,
+      force: false // Set when the user chose "Keep mine" for a conflict
+    });
+    applyPendingWrites(); // The next write of the same group is based on this one
+    loggedEntries.push({
+      action: write.revertOf ? 'revert' : 'progress',
+      description: write.description,
+      codeFulls: [write.codeFull],
+      changes: activityChanges,
+      revertOf: write.revertOf ?? null
+    });
+  });
+  // The write keeps its entry's ID, so dropping it later can be recorded (see getDroppedWriteEntry)
+  const activityIds = logActivities(loggedEntries);
+  outbox.slice(outbox.length - writes.length).forEach((op, index) => { op.activityId = activityIds[index] ?? null; });
+  saveOutbox();
+  handleOutboxChanged(new Set(writes.map(write => write.codeFull)));
+  flushOutbox();
+}
+
+function removeQueuedWrite(opId) {
+  const removedOp = outbox.find(op => op.id === opId);
+  outbox = outbox.filter(op => op.id !== opId);
+  saveOutbox();
+  handleOutboxChanged(removedOp ? new Set([removedOp.codeFull]) : null);
+}
+
+/* A queued write without the markings a clear removes: "ratings" takes out the ratings, "finished"
+   the completion times and new attempts. null when nothing is left to send. */
+function withoutClearedMarkings(op, what) {
+  const field = what === 'ratings' ? 'Rating' : 'finished';
+  let progress = null;
+  if (op.progress) {
+    const { [field]: clearedValue, subItems, ...otherFields } = op.progress;
+    progress = otherFields;
+    Object.entries(subItems || {}).forEach(([key, data]) => {
+      const { [field]: clearedSubItemValue, ...otherSubItemFields } = data;
+      if (Object.keys(otherSubItemFields).length > 0) progress.subItems = { ...progress.subItems, [key]: otherSubItemFields };
+    });
+    if (Object.keys(progress).length === 0) progress = null;
+  }
+  let attempt = null;
+  let attemptUpdate = null;
+  if (what === 'ratings') {
+    attempt = op.attempt && { ...op.attempt, data: { ...op.attempt.data, rating: null } };
+    if (op.attemptUpdate) {
+      const { rating, ...otherData } = op.attemptUpdate.data;
+      attemptUpdate = Object.keys(otherData).length > 0 ? { ...op.attemptUpdate, data: otherData } : null;
+    }
+  }
+  if (!progress && !attempt && !attemptUpdate && !op.attemptDelete) return null;
+  return { ...op, progress, attempt, attemptUpdate };
+}
+
+/**
+ * Takes the cleared markings out of the signed-in user's queued writes of these groups, so sending
+ * them after a clear doesn't bring the markings back. "everything" drops the writes.
+ * @param {Set<string>} codeFulls Groups being cleared.
+ * @param {'everything'|'ratings'|'finished'} what What is cleared.
+ * @returns {Array<object>} The changed or dropped writes as they were, for restoreQueuedWrites().
+ */
+function clearQueuedWrites(codeFulls, what) {
+  const originalOps = [];
+  outbox = outbox.flatMap(op => {
+    if (op.uid !== currentUser.uid || !codeFulls.has(op.codeFull)) return [op];
+    originalOps.push(op);
+    const remainingOp = what === 'everything' ? null : withoutClearedMarkings(op, what);
+    return remainingOp ? [remainingOp] : [];
+  });
+  if (originalOps.length === 0) return originalOps;
+  if (pendingConflict && originalOps.some(op => op.id === pendingConflict.op.id)) {
+    pendingConflict = null; // The conflicting values are being cleared anyway
+    document.getElementById('conflictModal').style.display = 'none';
+  }
+  saveOutbox();
+  handleOutboxChanged(codeFulls);
+  return originalOps;
+}
+
+// Put writes changed by clearQueuedWrites() back as they were, e.g. when the clear failed
+function restoreQueuedWrites(originalOps) {
+  const originalIds = new Set(originalOps.map(op => op.id));
+  outbox = [...originalOps, ...outbox.filter(op => !originalIds.has(op.id))];
+  saveOutbox();
+  handleOutboxChanged(new Set(originalOps.map(op => op.codeFull)));
+  flushOutbox();
+}
+
+// `codeFulls`: the groups whose queued writes changed, null to refresh everything
+function handleOutboxChanged(codeFulls = null) {
+  mergeProgressIntoItems(codeFulls);
+  refreshViews(codeFulls);
+  updateSyncIndicator();
+}
+
+/**
+ * Sends one queued write in a transaction: reads the progress document, checks for a conflict and
+ * writes the progress fields (with the next revision) and the new, updated or deleted attempt.
+ * Rejects with error.code 'conflict' (and error.serverProgress) when another device changed the group.
+ */
+async function sendQueuedWrite(op) {
+  const progressDocPath = [...getProgressCollectionPath(op.uid), op.codeFull];
+  await storage.transact(async (transaction) => {
+    const serverProgress = await transaction.get(progressDocPath);
+    const serverRevision = serverProgress?.revision ?? 0;
+    if (op.progress && !op.force && serverRevision > op.baseRevision && serverProgress.deviceId !== deviceId) {
+      throw Object.assign(new Error(`Progress of '${op.codeFull}' was changed on another device.`), {
+        code: 'conflict',
+        serverProgress
+      });
+    }
+    if (op.attempt) {
+      transaction.set([...getAttemptsCollectionPath(op.uid), op.attempt.id], op.attempt.data);
+    }
+    if (op.attemptUpdate) {
+      transaction.update([...getAttemptsCollectionPath(op.uid), op.attemptUpdate.id], op.attemptUpdate.data);
+    }
+    if (op.attemptDelete) {
+      transaction.delete([...getAttemptsCollectionPath(op.uid), op.attemptDelete]);
+    }
+    if (op.progress) {
+      // merge: true creates the document on the first write and keeps fields (and sub-items) not being written
+      transaction.set(progressDocPath, {
+        codeFull: op.codeFull,
+        ...op.progress,
+        revision: serverRevision + 1,
+        deviceId,
+        updatedAt: storage.serverTime()
+      }, { merge: true });
+    }
+  });
+}
+
+// Send the signed-in user's queued writes in order. Stops at a conflict or when offline (retried later).
+async function flushOutbox() {
+  if (isFlushingOutbox || pendingConflict || !currentUser) return;
+  isFlushingOutbox = true;
+  updateSyncIndicator();
+  try {
+    let op;
+    while (!pendingConflict && (op = getPendingWrites()[0])) {
+      try {
+        await sendQueuedWrite(op);
+        console.log(`Queued write sent: ${op.description}`);
+        lastSyncError = null;
+        removeQueuedWrite(op.id);
+      } catch (error) {
+        if (error.code === 'conflict') {
+          openConflictModal(op, error.serverProgress);
+          break;
+        }
+        if (permanentWriteErrors.includes(error.code)) {
+          removeQueuedWrite(op.id);
+          logActivities([getDroppedWriteEntry(op, null, error.code)].filter(Boolean));
+          handleError(`Dropped queued write "${op.description}"`, error);
+          continue;
+        }
+        // Offline or emulator/server not reachable: keep the queue and try again later
+        console.warn(`Could not send queued write "${op.description}", retrying later.`, error);
+        lastSyncError = error;
+        scheduleSyncRetry();
+        break;
+      }
+    }
+  } finally {
+    isFlushingOutbox = false;
+    updateSyncIndicator();
+  }
+}
+
+function scheduleSyncRetry() {
+  if (syncRetryTimer) return;
+  syncRetryTimer = setTimeout(() => {
+    syncRetryTimer = null;
+    flushOutbox();
+  }, SYNC_RETRY_DELAY_MS);
+}
+
+// Called from the catalogue listener; reconnecting sends whatever was queued while offline
+function setStorageConnected(connected) {
+  const wasConnected = storageConnected;
+  storageConnected = connected;
+  if (connected && !wasConnected) flushOutbox();
+  updateSyncIndicator();
+}
+
+// Header indicator: Synced / N pending / Offline - N pending / Conflict (local backend: Saved in this browser)
+function updateSyncIndicator() {
+  const indicator = document.getElementById('syncStatus');
+  if (!indicator) return;
+  const pendingCount = getPendingWrites().length;
+  let state;
+  let text;
+  if (pendingConflict) {
+    state = 'conflict';
+    text = 'Conflict - choose a version';
+  } else if (storage.isLocal) {
+    state = pendingCount > 0 ? 'syncing' : 'synced';
+    text = pendingCount > 0 ? `${pendingCount} pending` : 'Saved in this browser';
+  } else if (storageConnected === null && navigator.onLine) {
+    state = 'syncing';
+    text = 'Connecting...';
+  } else if (!storageConnected || !navigator.onLine) {
+    state = 'offline';
+    text = pendingCount > 0 ? `Offline - ${pendingCount} pending` : 'Offline';
+  } else if (pendingCount > 0) {
+    state = 'syncing';
+    text = isFlushingOutbox ? `Syncing ${pendingCount}...` : `${pendingCount} pending`;
+  } else {
+    state = 'synced';
+    text = 'Synced';
+  }
+  indicator.textContent = text;
+  indicator.className = `sync-${state}`;
+  indicator.title = lastSyncError ? `Last sync attempt failed: ${lastSyncError.message}` : 'Show pending writes';
+  renderPendingWrites();
+}
+
+// List of queued writes below the indicator
+function renderPendingWrites() {
+  const list = document.getElementById('pendingWritesList');
+  if (!list) return;
+  const pending = getPendingWrites();
+  list.innerHTML = pending.length === 0
+    ? '<li>No pending writes.</li>'
+    : pending.map(op =>
+      `<li>${escapeHtml(op.createdAt.toDate().toLocaleString())}: ${escapeHtml(op.description)}</li>`).join('');
+}
+
+function togglePendingWritesPanel() {
+  const panel = document.getElementById('pendingWritesPanel');
+  if (!panel) return;
+  panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  renderPendingWrites();
+}
+
+// Readable value of a progress field for the conflict table
+function describeProgressValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (value instanceof Timestamp) return formatDate(value);
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '-'; // e.g. tags
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, data]) => `${key}: ${Object.entries(data || {}).map(([field, v]) => `${field} ${describeProgressValue(v)}`).join(', ')}`)
+      .join('; ');
+  }
+  return String(value);
+}
+
+// Show both versions of the conflicting fields; the queue waits until the user picks one
+function openConflictModal(op, serverProgress) {
+  pendingConflict = { op, serverProgress };
+  const description = document.getElementById('conflictDescription');
+  const table = document.getElementById('conflictTable');
+  if (description) {
+    description.textContent = `${op.codeFull} was changed on another device after "${op.description}" was made on this one.`;
+  }
+  if (table) {
+    const rows = Object.keys(op.progress).map(field => `<tr><td>${escapeHtml(field)}</td>` +
+      `<td>${escapeHtml(describeProgressValue(op.progress[field]))}</td>` +
+      `<td>${escapeHtml(describeProgressValue(field === 'subItems'
+        ? Object.fromEntries(Object.keys(op.progress.subItems).map(key => [key, serverProgress?.subItems?.[key]]))
+        : serverProgress?.[field]))}</td></tr>`).join('');
+    table.innerHTML = `<tr><th>Field</th><th>This device</th><th>Other device</th></tr>${rows}`;
+  }
+  const modal = document.getElementById('conflictModal');
+  if (modal) modal.style.display = 'block';
+  updateSyncIndicator();
+}
+
+/* Resolve the open conflict. 'mine' overwrites the other device's values; 'theirs' drops the
+   progress fields of the queued write. Completion attempts only add history, so they are kept either way. */
+function resolveConflict(choice) {
+  if (!pendingConflict) return;
+  const op = outbox.find(queued => queued.id === pendingConflict.op.id);
+  pendingConflict = null;
+  const modal = document.getElementById('conflictModal');
+  if (modal) modal.style.display = 'none';
+  if (op) {
+    if (choice === 'mine') {
+      op.force = true;
+    } else if (op.attempt || op.attemptUpdate) {
+      logActivities([getDroppedWriteEntry(op, { ...op, progress: null }, "kept the other device's version")].filter(Boolean));
+      op.progress = null;
+    } else {
+      logActivities([getDroppedWriteEntry(op, null, "kept the other device's version")].filter(Boolean));
+      outbox = outbox.filter(queued => queued.id !== op.id);
+    }
+    saveOutbox();
+    handleOutboxChanged(new Set([op.codeFull]));
+  }
+  flushOutbox();
+}
+
+// ... (keep existing functions like listenForDataUpdates, updateTask, addTask, deleteTask)
+
+
+// --- Action Handlers ---
+// --- Action Handlers ---
+
+async function handleMarkTaskAsDone() { // Make async if calling an async function
+  if (!currentItemId) {
+    handleError("Cannot mark task done: No item selected.");
+    return;
+  }
+
+  // Find the clicked item in the local cache to get its codeFull value
+  const currentItem = dashboardItems.find(item => item.id === currentItemId);
+
+  if (!currentItem || !currentItem.codeFull) {
+      handleError("Cannot mark task done: Could not find item or codeFull value.", { currentItemId });
+      closeDoneModal(); // Close modal even on error finding item
+      return;
+  }
+
+  // Checked before taking the timer, which would otherwise be stopped without saving its time
+  if (!currentUser) {
+    handleError("Sign in to save your progress", { message: "No user signed in." });
+    return;
+  }
+
+  const codeFullValue = currentItem.codeFull;
+  const ratingValue = document.getElementById('ratingSelect').value || null; // '' is "no rating"
+  const minutesValue = document.getElementById('timeSpentInput').value;
+  const timerSeconds = takeTimerSeconds(codeFullValue); // Stops the timer of this task
+  // Minutes typed in by hand win over the timer
+  const timeSpentSeconds = minutesValue !== '' && Number(minutesValue) >= 0 ? Math.round(Number(minutesValue) * 60) : timerSeconds;
+
+  console.log(`Marking group with codeFull '${codeFullValue}' as done (attempt ${currentItem.attempts + 1}).`);
+  // Every completion is stored as its own attempt instead of overwriting 'finished'
+  await recordAttempt(codeFullValue, { rating: ratingValue, timeSpentSeconds });
+
+  // Note: Modal closing is now handled inside recordAttempt on success
+}
+
+
+async function handleSubmitRating(event) { // Make async
+  event.preventDefault(); // Prevent form submission
+  if (!currentItemId) {
+    handleError("Cannot submit rating: No item selected.");
+    return;
+  }
+
+  // Find the clicked item in the local cache to get its codeFull value
+  const currentItem = dashboardItems.find(item => item.id === currentItemId);
+
+  if (!currentItem || !currentItem.codeFull) {
+      handleError("Cannot submit rating: Could not find item or codeFull value.", { currentItemId });
+      closeDoneModal(); // Close modal even on error finding item
+      return;
+  }
+
+  const codeFullValue = currentItem.codeFull;
+  const ratingSelect = document.getElementById('ratingSelect');
+  let ratingValue = ratingSelect.value || null; // A name from the rating scale, '' ("no rating") clears it
+
+  console.log(`Preparing to update rating for group with codeFull '${codeFullValue}' with value:`, ratingValue);
+
+  // Call the group update function instead of the single updateTask
+  await updateItemGroupByCodeFull(codeFullValue, { Rating: ratingValue }); // Check if frontend expects 'rating' or 'Rating' field
+
+  // Keep the rating of the latest attempt in sync with the group rating
+  const lastAttempt = currentItem.attemptHistory[currentItem.attemptHistory.length - 1];
+  if (lastAttempt && lastAttempt.id) await updateAttemptRating(codeFullValue, lastAttempt.id, ratingValue);
+
+  // Note: Modal closing is now handled inside updateItemGroupByCodeFull on success/error
+  // We no longer call updateTask here.
+}
+
+// ... (keep other functions like pickRandomTask, displayTasks, etc.)
+
+
+
+// --- Rating Scale and Tags ---
+// The rating scale is part of the user's settings document, so every device uses the same one.
+// Tags are free-form labels per codeFull, stored in the progress document as `tags`.
+
+// SM-2 answer quality (0-5) per rating; ratings below 3 restart the review interval
+const defaultRatingScale = [
+  { name: 'easy', quality: 5, color: '#4CAF50' },
+  { name: 'interesting', quality: 4, color: '#2196F3' },
+  { name: 'hard', quality: 3, color: '#FF9800' },
+  { name: 'false', quality: 1, color: '#f44336' }
+];
+const unratedColor = '#cccccc';
+
+function getRatingScale() {
+  const scale = userSettings.ratingScale;
+  return Array.isArray(scale) && scale.length > 0 ? scale : defaultRatingScale;
+}
+
+function getRatingNames() {
+  return getRatingScale().map(rating => rating.name);
+}
+
+// Undefined for ratings that are not on the scale (anymore)
+function getRatingQuality(rating) {
+  return getRatingScale().find(entry => entry.name === rating)?.quality;
+}
+
+function getRatingColor(rating) {
+  return getRatingScale().find(entry => entry.name === rating)?.color ?? unratedColor;
+}
+
+// Options of the done modal's rating select, "no rating" first
+function renderRatingOptions() {
+  const ratingSelect = document.getElementById('ratingSelect');
+  if (!ratingSelect) return;
+  ratingSelect.innerHTML = `<option value="">no rating</option>` + getRatingNames()
+    .map(rating => `<option value="${escapeHtml(rating)}">${escapeHtml(rating)}</option>`).join('');
+}
+
+// One editable row per rating: name, SM-2 quality and chart color
+function renderRatingScaleEditor(scale = getRatingScale()) {
+  const tableBody = document.getElementById('ratingScaleRows');
+  if (!tableBody) return;
+  tableBody.innerHTML = scale.map(rating => `<tr>
+      <td><input type="text" class="scale-name" value="${escapeHtml(rating.name)}"></td>
+      <td><input type="number" class="scale-quality" min="0" max="5" step="1" value="${rating.quality}"></td>
+      <td><input type="color" class="scale-color" value="${escapeHtml(rating.color)}"></td>
+      <td><button type="button" data-scale-action="remove">Remove</button></td>
+    </tr>`).join('');
+}
+
+function readRatingScaleEditor() {
+  return [...document.querySelectorAll('#ratingScaleRows tr')].map(row => ({
+    name: row.querySelector('.scale-name').value.trim(),
+    quality: Number(row.querySelector('.scale-quality').value),
+    color: row.querySelector('.scale-color').value
+  }));
+}
+
+function handleRatingScaleClick(event) {
+  const action = event.target.dataset.scaleAction;
+  if (!action) return;
+  const scale = readRatingScaleEditor();
+  if (action === 'add') {
+    scale.push({ name: '', quality: 3, color: '#9e9e9e' });
+  } else if (action === 'remove') {
+    scale.splice([...document.querySelectorAll('#ratingScaleRows tr')].indexOf(event.target.closest('tr')), 1);
+  } else if (action === 'reset') {
+    renderRatingScaleEditor(defaultRatingScale);
+    return;
+  } else if (action === 'save') {
+    saveRatingScale(scale);
+    return;
+  }
+  renderRatingScaleEditor(scale);
+}
+
+/* Validate and store the edited scale. Existing ratings that are no longer on the scale count as
+   unrated in the analytics and get the default quality in the review schedule. */
+async function saveRatingScale(scale) {
+  const status = document.getElementById('ratingScaleStatus');
+  const names = scale.map(rating => rating.name);
+  let problem = '';
+  if (scale.length === 0) problem = 'The scale needs at least one rating.';
+  else if (names.some(name => name === '')) problem = 'Every rating needs a name.';
+  else if (names.includes(unratedOption)) problem = `"${unratedOption}" is reserved for tasks without a rating.`;
+  else if (new Set(names).size !== names.length) problem = 'Rating names must be unique.';
+  else if (scale.some(rating => !Number.isInteger(rating.quality) || rating.quality < 0 || rating.quality > 5)) {
+    problem = 'Quality must be a whole number from 0 to 5.';
+  }
+  if (problem) {
+    status.textContent = problem;
+    return;
+  }
+  await saveUserSettings({ ratingScale: scale });
+  status.textContent = 'Rating scale saved.';
+  handleRatingScaleChanged();
+}
+
+// Everything that lists ratings or depends on their quality (due dates) is rebuilt
+function handleRatingScaleChanged() {
+  renderRatingOptions();
+  renderPickerConfig();
+  mergeProgressIntoItems();
+  refreshViews();
+}
+
+function toggleRatingScalePanel() {
+  const panel = document.getElementById('ratingScalePanel');
+  if (!panel) return;
+  const isHidden = panel.style.display === 'none';
+  panel.style.display = isHidden ? 'block' : 'none';
+  if (isHidden) {
+    renderRatingScaleEditor();
+    document.getElementById('ratingScaleStatus').textContent = currentUser ? '' : 'Sign in to change the rating scale.';
+  }
+}
+
+function getTaskTags(codeFull) {
+  const tags = progressByCodeFull[codeFull]?.tags;
+  return Array.isArray(tags) ? tags : [];
+}
+
+// All tags in use, alphabetically
+function getAllTags() {
+  return [...new Set(Object.keys(progressByCodeFull).flatMap(getTaskTags))].sort(naturalCompare);
+}
+
+// "Calculator, revisit,, teacher  question" -> ["calculator", "revisit", "teacher question"]
+function parseTagInput(text) {
+  const tags = String(text).split(',').map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(tag => tag !== '');
+  return [...new Set(tags)];
+}
+
+function renderTagInput(codeFull) {
+  const tagsInput = document.getElementById('tagsInput');
+  if (!tagsInput) return;
+  tagsInput.value = getTaskTags(codeFull).join(', ');
+  tagsInput.disabled = !currentUser;
+  document.getElementById('tagSuggestions').innerHTML = getAllTags()
+    .map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+}
+
+// Tags are saved like any other progress field, so they are queued while offline
+function handleTagsChange(event) {
+  const codeFull = getModalCodeFull();
+  if (!codeFull || !currentUser) return;
+  const tags = parseTagInput(event.target.value);
+  event.target.value = tags.join(', ');
+  if (tags.join(',') === getTaskTags(codeFull).join(',')) return;
+  queueProgressWrite({
+    codeFull,
+    description: tags.length > 0 ? `Tag ${codeFull} as ${tags.join(', ')}` : `Remove tags of ${codeFull}`,
+    progress: { tags }
+  });
+}
+
+// Number of tasks and finished tasks per tag in the Progress view
+function renderTagAnalytics() {
+  const container = document.getElementById('tagAnalytics');
+  if (!container) return;
+  const tags = getAllTags();
+  if (tags.length === 0) {
+    container.innerHTML = '<p>No tags yet. Add tags to a task in its dialog.</p>';
+    return;
+  }
+  const rows = tags.map(tag => {
+    const codeFulls = Object.keys(progressByCodeFull).filter(codeFull => getTaskTags(codeFull).includes(tag));
+    const doneCount = codeFulls.filter(codeFull => getGroupStatus(codeFull).isDone).length;
+    return `<tr><td>${escapeHtml(tag)}</td><td>${codeFulls.length}</td><td>${doneCount}</td></tr>`;
+  }).join('');
+  container.innerHTML = `<table><thead><tr><th>Tag</th><th>Tasks</th><th>Done</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// --- Spaced Repetition ---
+
+const defaultRatingQuality = 4; // Used for attempts recorded without a rating
+const schedulerSettingsKey = "dashsy.schedulerSettings"; // localStorage key
+const defaultSchedulerSettings = {
+  unfinishedRatio: 0.3, // Share of picks that serve a new task instead of a review
+  // Constraints for Pick Random Task, edited in the picker config panel
+  picker: { sections: [], ratings: [], releasedFrom: '', weightBySectionCompletion: false }
+};
+let schedulerSettings = loadSchedulerSettings();
+
+function loadSchedulerSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(schedulerSettingsKey) || '{}');
+    return {
+      ...defaultSchedulerSettings,
+      ...stored,
+      picker: { ...defaultSchedulerSettings.picker, ...(stored.picker || {}) }
+    };
+  } catch (error) {
+    console.warn("Could not read scheduler settings, using defaults.", error);
+    return { ...defaultSchedulerSettings, picker: { ...defaultSchedulerSettings.picker } };
+  }
+}
+
+function saveSchedulerSettings() {
+  localStorage.setItem(schedulerSettingsKey, JSON.stringify(schedulerSettings));
+}
+
+/**
+ * Runs the SM-2 algorithm over the attempts of a codeFull group.
+ * @param {Array<object>} attemptHistory Attempts of the group, oldest first.
+ * @param {?string} groupRating The group's current Rating, used for attempts recorded without one.
+ * @returns {?{dueDate: Date, intervalDays: number, easeFactor: number, repetitions: number}} Null if never attempted.
+ */
+function computeReviewSchedule(attemptHistory, groupRating) {
+  if (!attemptHistory || attemptHistory.length === 0) return null;
+
+  let repetitions = 0;
+  let intervalDays = 0;
+  let easeFactor = 2.5;
+  attemptHistory.forEach((attempt, index) => {
+    const isLastAttempt = index === attemptHistory.length - 1;
+    const rating = attempt.rating ?? (isLastAttempt ? groupRating : null);
+    const quality = getRatingQuality(rating) ?? defaultRatingQuality;
+
+    if (quality >= 3) {
+      if (repetitions === 0) intervalDays = 1;
+      else if (repetitions === 1) intervalDays = 6;
+      else intervalDays = Math.round(intervalDays * easeFactor);
+      repetitions++;
+    } else {
+      repetitions = 0;
+      intervalDays = 1;
+    }
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  });
+
+  const lastAttemptDate = attemptHistory[attemptHistory.length - 1].finishedAt.toDate();
+  const dueDate = new Date(lastAttemptDate.getTime() + intervalDays * 24 * 60 * 60 * 1000);
+  return { dueDate, intervalDays, easeFactor, repetitions };
+}
+
+function isDueByEndOfToday(item) {
+  if (!item.due) return false;
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  return item.due.toDate() <= endOfToday;
+}
+
+// Attempted codeFull groups whose review is due, most overdue first
+function getDueCodeFulls(items) {
+  const now = Date.now();
+  const dueByCodeFull = new Map();
+  items.forEach(item => {
+    if (item.due && item.due.toMillis() <= now && !dueByCodeFull.has(item.codeFull)) {
+      dueByCodeFull.set(item.codeFull, item.due.toMillis());
+    }
+  });
+  return [...dueByCodeFull.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([codeFull, dueMillis]) => ({ codeFull, overdueDays: Math.floor((now - dueMillis) / (24 * 60 * 60 * 1000)) }));
+}
+
+// --- Picker Constraints ---
+
+const unratedOption = "unrated"; // Picker rating option for tasks without a Rating
+
+// Does a single task row satisfy the section, rating and release date constraints of the picker?
+function matchesPickerConstraints(item, picker) {
+  if (picker.sections.length > 0 && !picker.sections.includes(getItemSection(item))) return false;
+  if (picker.ratings.length > 0 && !picker.ratings.includes(item.Rating || unratedOption)) return false;
+  if (picker.releasedFrom) {
+    const releaseDate = parseReleaseDate(item.dateRelease);
+    const [year, month] = picker.releasedFrom.split('-').map(Number); // <input type="month"> value, e.g. "2019-05"
+    if (!releaseDate || releaseDate < new Date(year, month - 1, 1)) return false;
+  }
+  return true;
+}
+
+// Share of finished rows per section, e.g. { "1.3": 0.25 }
+function getSectionCompletionRates(items) {
+  const totals = {};
+  items.forEach(item => {
+    const section = getItemSection(item);
+    totals[section] = totals[section] || { finished: 0, total: 0 };
+    totals[section].total++;
+    if (item.attempts > 0) totals[section].finished++;
+  });
+  const rates = {};
+  Object.entries(totals).forEach(([section, { finished, total }]) => { rates[section] = finished / total; });
+  return rates;
+}
+
+/* Pick one codeFull from the given rows. With weightBySectionCompletion, each group is weighted by the
+   inverse completion rate of its weakest section, so sections with little progress come up more often. */
+function pickWeightedCodeFull(items, picker) {
+  const codeFulls = [...new Set(items.map(item => item.codeFull))];
+  if (!picker.weightBySectionCompletion) {
+    return codeFulls[Math.floor(Math.random() * codeFulls.length)];
+  }
+
+  const completionRates = getSectionCompletionRates(dashboardItems);
+  const weights = codeFulls.map(codeFull => {
+    const sections = items.filter(item => item.codeFull === codeFull).map(getItemSection);
+    return Math.max(...sections.map(section => 1 / ((completionRates[section] || 0) + 0.1)));
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let threshold = Math.random() * totalWeight;
+  for (let i = 0; i < codeFulls.length; i++) {
+    threshold -= weights[i];
+    if (threshold <= 0) return codeFulls[i];
+  }
+  return codeFulls[codeFulls.length - 1];
+}
+
+// Fill the section filter of the picker panel with all sections found in the data
+function populatePickerSectionOptions() {
+  const sectionSelect = document.getElementById('pickerSections');
+  if (!sectionSelect) return;
+  const sections = [...new Set(dashboardItems.map(getItemSection).filter(section => section !== ''))].sort(naturalCompare);
+  // Keep stored selections visible even if the data is not loaded yet
+  schedulerSettings.picker.sections.forEach(section => { if (!sections.includes(section)) sections.push(section); });
+  sectionSelect.innerHTML = sections
+    .map(section => `<option value="${escapeHtml(section)}"${schedulerSettings.picker.sections.includes(section) ? ' selected' : ''}>${escapeHtml(section)}</option>`)
+    .join('');
+}
+
+// Show the stored picker settings in the config panel
+function renderPickerConfig() {
+  const { picker } = schedulerSettings;
+  populatePickerSectionOptions();
+  const ratingSelect = document.getElementById('pickerRatings');
+  if (ratingSelect) {
+    ratingSelect.innerHTML = [...getRatingNames(), unratedOption]
+      .map(rating => `<option value="${escapeHtml(rating)}"${picker.ratings.includes(rating) ? ' selected' : ''}>${escapeHtml(rating)}</option>`)
+      .join('');
+  }
+  document.getElementById('pickerReleasedFrom').value = picker.releasedFrom;
+  document.getElementById('pickerWeightWeak').checked = picker.weightBySectionCompletion;
+  document.getElementById('unfinishedRatioInput').value = Math.round(schedulerSettings.unfinishedRatio * 100);
+}
+
+// Read the config panel back into the settings and persist them
+function handlePickerConfigChange() {
+  const selectedValues = select => [...select.selectedOptions].map(option => option.value);
+  const percent = Math.min(100, Math.max(0, Number(document.getElementById('unfinishedRatioInput').value) || 0));
+  schedulerSettings.unfinishedRatio = percent / 100;
+  schedulerSettings.picker = {
+    sections: selectedValues(document.getElementById('pickerSections')),
+    ratings: selectedValues(document.getElementById('pickerRatings')),
+    releasedFrom: document.getElementById('pickerReleasedFrom').value,
+    weightBySectionCompletion: document.getElementById('pickerWeightWeak').checked
+  };
+  document.getElementById('unfinishedRatioInput').value = percent;
+  saveSchedulerSettings();
+  console.log("Picker settings saved:", schedulerSettings);
+}
+
+function resetPickerConfig() {
+  schedulerSettings.picker = { ...defaultSchedulerSettings.picker };
+  schedulerSettings.unfinishedRatio = defaultSchedulerSettings.unfinishedRatio;
+  saveSchedulerSettings();
+  renderPickerConfig();
+}
+
+function togglePickerConfigPanel() {
+  const panel = document.getElementById('pickerConfigPanel');
+  if (!panel) return;
+  const isHidden = panel.style.display === 'none';
+  if (isHidden) renderPickerConfig();
+  panel.style.display = isHidden ? 'block' : 'none';
+}
+
+// Pick the next task: the most overdue review, or (at the configured ratio) a random unfinished task
+async function pickRandomTask() {
+  showingSingleRandomTask = false; // Reset flag initially
+  document.getElementById("randomTaskOutput").innerHTML = "Picking random task...";
+
+  try {
+      if (!dashboardItems || dashboardItems.length === 0) {
+          document.getElementById("randomTaskOutput").innerHTML = "<strong>No tasks available to pick from!</strong>";
+          renderTable();
+          return;
+      }
+    // Only consider rows matching the picker constraints (section, rating, release date)
+    const candidateItems = dashboardItems.filter(item => matchesPickerConstraints(item, schedulerSettings.picker));
+    if (candidateItems.length === 0) {
+      document.getElementById("randomTaskOutput").innerHTML = "<strong>No tasks match the picker settings!</strong>";
+      renderTable();
+      return;
+    }
+
+    // Filter candidates for unfinished items
+    const unfinishedItems = candidateItems.filter(item => {
+        let isUnfinished = true;
+        if (item.hasOwnProperty('finished')) {
+            const finishedValue = item.finished;
+            isUnfinished = !finishedValue || (typeof finishedValue === 'string' && finishedValue.trim() === '');
+        }
+        return isUnfinished;
+    });
+    const dueCodeFulls = getDueCodeFulls(candidateItems);
+
+    if (unfinishedItems.length === 0 && dueCodeFulls.length === 0) {
+      document.getElementById("randomTaskOutput").innerHTML = "<strong>All tasks are done and no reviews are due!</strong>";
+      renderTable(); // Show the full (empty or all done) table
+      return;
+    }
+
+    // Mix new tasks into the reviews at the configured ratio; fall back to whichever list is not empty
+    const pickUnfinished = dueCodeFulls.length === 0 ||
+      (unfinishedItems.length > 0 && Math.random() < schedulerSettings.unfinishedRatio);
+
+    let selectedCodeFull;
+    let pickReason;
+    if (pickUnfinished) {
+      // Pick random (optionally weighted) codeFull from the filtered list
+      selectedCodeFull = pickWeightedCodeFull(unfinishedItems, schedulerSettings.picker);
+      pickReason = "New task";
+    } else {
+      selectedCodeFull = dueCodeFulls[0].codeFull;
+      const { overdueDays } = dueCodeFulls[0];
+      pickReason = `Review due${overdueDays > 0 ? ` (overdue by ${overdueDays} day${overdueDays === 1 ? '' : 's'})` : ''}`;
+    }
+    console.log("Selected codeFull:", selectedCodeFull, "-", pickReason);
+
+    // Find all items with the selected codeFull
+    const itemsToDisplay = dashboardItems.filter(item => item.codeFull === selectedCodeFull);
+
+    // Display those tasks and start timing the pick
+    displayTasks(itemsToDisplay);
+    if (!activeTimer) startTaskTimer(selectedCodeFull, itemsToDisplay[0].id); // A running timer is kept, see renderTaskTimer
+    document.getElementById("randomTaskOutput").innerHTML =
+      `<strong>${escapeHtml(pickReason)}:</strong> ${escapeHtml(selectedCodeFull)} ` +
+      `(${dueCodeFulls.length} review${dueCodeFulls.length === 1 ? '' : 's'} due)`;
+
+  } catch (error) {
     handleError("Error picking random task:", error);
     document.getElementById("randomTaskOutput").innerHTML = `<span style="color:red;">Error picking task. See console.</span>`;
     showingSingleRandomTask = false; // Ensure flag is reset on error
@@ -648,122 +4247,1471 @@ async function pickRandomTask() {
   }
 }
 
-function displayTasks(tasks) {
-  const tableBody = document.getElementById('dashboard-body');
-  const header = document.getElementById("dashboard-header");
-  const outputDiv = document.getElementById("randomTaskOutput");
-  tableBody.innerHTML = ''; // Clear table body
-  header.innerHTML = ''; // Clear table header
-  outputDiv.innerHTML = ''; // Clear output div
+function displayTasks(tasks) {
+  const tableBody = document.getElementById('dashboard-body');
+  const header = document.getElementById("dashboard-header");
+  const outputDiv = document.getElementById("randomTaskOutput");
+  tableBody.innerHTML = ''; // Clear table body
+  header.innerHTML = ''; // Clear table header
+  outputDiv.innerHTML = ''; // Clear output div
+
+  if (!tasks || tasks.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="100%">No tasks to display.</td></tr>';
+    return;
+  }
+
+  // Determine columns from the first item
+  const columns = Object.keys(tasks[0]).filter(key => !hiddenItemFields.includes(key));
+
+  // Generate header
+  let headerRow = document.createElement("tr");
+  columns.forEach(colName => {
+    let th = document.createElement("th");
+    th.textContent = colName;
+    headerRow.appendChild(th);
+  });
+  header.appendChild(headerRow);
+
+  // Create and append table rows
+  tasks.forEach(task => {
+    const tr = createTableRow(task, columns);
+    tableBody.appendChild(tr);
+  });
+  selectedRowIndex = 0; // j/k, Enter and d work on the pick right away
+  highlightSelectedRow();
+
+  showingSingleRandomTask = true;
+}
+
+// Display details and table row(s) for a single item ID
+function displaySingleTask(itemId, updateOutputDiv = false) {
+    const tableBody = document.getElementById('dashboard-body');
+    const header = document.getElementById("dashboard-header");
+    const outputDiv = document.getElementById("randomTaskOutput");
+    tableBody.innerHTML = ''; // Clear table body
+    header.innerHTML = ''; // Clear table header
+    if (updateOutputDiv) outputDiv.innerHTML = ''; // Clear output div
+
+    if (!dashboardItems) { // Added check
+        handleError(`Error displaying single task: Dashboard items not loaded.`);
+        if (updateOutputDiv) outputDiv.innerHTML = `<span style="color:red;">Error displaying task details (data not loaded).</span>`;
+        showingSingleRandomTask = false;
+        return;
+    }
+
+    const item = dashboardItems.find(i => i.id === itemId);
+
+    if (!item) {
+        handleError(`Error displaying single task: Item ID ${itemId} not found in local cache.`);
+        tableBody.innerHTML = '<tr><td colspan="100%">Error loading task details.</td></tr>';
+        if (updateOutputDiv) outputDiv.innerHTML = `<span style="color:red;">Error displaying task details.</span>`;
+        showingSingleRandomTask = false; // Ensure flag is reset on error
+        return;
+    }
+
+    // Determine columns (excluding 'id')
+    const columns = Object.keys(item).filter(key => !hiddenItemFields.includes(key));
+
+    // Generate header
+    let headerRow = document.createElement("tr");
+    columns.forEach(colName => {
+        let th = document.createElement("th");
+        th.textContent = colName; // Corrected variable name
+        headerRow.appendChild(th);
+    });
+    header.appendChild(headerRow);
+
+    // Create and append the single table row
+    const tr = createTableRow(item, columns);
+    tableBody.appendChild(tr);
+
+    // Update the randomTaskOutput div if requested
+    if (updateOutputDiv) {
+        let detailsHtml = `<strong>Random Task Selected:</strong><br><div class="task-details">`;
+        columns.forEach(colName => {
+            let cellValue = item[colName] ?? '';
+            if (colName === 'finished' && cellValue && (typeof cellValue !== 'string' || cellValue.trim() !== '')) {
+                cellValue = formatDate(cellValue);
+            }
+            // Only display non-empty values for clarity
+            if (String(cellValue).trim() !== '') {
+                detailsHtml += `<span><strong>${colName}:</strong> ${cellValue}</span><br>`;
+            }
+        });
+        detailsHtml += `</div>`;
+        outputDiv.innerHTML = detailsHtml;
+    }
+    // Ensure the flag is set correctly when displaying a single task
+    showingSingleRandomTask = true;
+}
+
+// --- Clear Markings ---
+
+let lastClearSnapshot = null; // Values removed by the last clear, kept in memory so it can be undone this session
+
+/**
+ * Collects the signed-in user's progress and attempt documents affected by a clear.
+ * A codeFull group is affected when any of its rows belongs to the selected section.
+ * @param {{section: string}} scope Section to clear ('' for all sections).
+ * @returns {{progressEntries: Array<[string, object]>, attempts: Array<object>}}
+ */
+function getClearTargets({ section }) {
+  const codeFulls = new Set(dashboardItems
+    .filter(item => section === '' || getItemSection(item) === section)
+    .map(item => item.codeFull));
+  // Without a section filter also include progress for tasks that are no longer in the catalogue
+  const includeCodeFull = codeFull => section === '' || codeFulls.has(codeFull);
+
+  // A group cleared before keeps a document with only its revision, there is nothing left to clear in it
+  const hasMarkings = data => Object.entries(data)
+    .some(([field, value]) => field !== 'codeFull' && !syncBookkeepingFields.includes(field) && value != null);
+  const progressEntries = Object.entries(progressByCodeFull)
+    .filter(([codeFull, data]) => includeCodeFull(codeFull) && hasMarkings(data));
+  const attempts = Object.entries(attemptsByCodeFull)
+    .filter(([codeFull]) => includeCodeFull(codeFull))
+    .flatMap(([, list]) => list);
+  return { progressEntries, attempts };
+}
+
+/* Revision fields as sendQueuedWrite writes them. A clear bumps the revision too, so a write another
+   device queued before the clear is flagged as a conflict instead of silently undoing it. */
+function getNextProgressRevision(codeFull) {
+  return { revision: (serverProgressByCodeFull[codeFull]?.revision ?? 0) + 1, deviceId, updatedAt: storage.serverTime() };
+}
+
+/**
+ * Clears the signed-in user's markings within a scope, using batches of at most 500 writes.
+ * The cleared markings are taken out of queued writes first, they would bring them back once sent.
+ * The previous values (including those queued writes) are snapshotted so the clear can be undone with undoClearMarkings().
+ * @param {{what: 'everything'|'ratings'|'finished', section: string}} scope What to clear and in which section ('' = all).
+ */
+async function clearAllMarkings(scope) {
+  if (!currentUser) {
+    handleError("Sign in to clear your markings", { message: "No user signed in." });
+    return;
+  }
+  const { progressEntries, attempts } = getClearTargets(scope);
+  if (progressEntries.length === 0 && attempts.length === 0) {
+    console.log("Nothing to clear for scope:", scope);
+    closeClearModal();
+    return;
+  }
+
+  const progressCollectionPath = getProgressCollectionPath(currentUser.uid);
+  const attemptsCollectionPath = getAttemptsCollectionPath(currentUser.uid);
+  const serverAttemptIds = new Set(Object.values(serverAttemptsByCodeFull).flat().map(attempt => attempt.id));
+  const writes = [];
+  const activityChanges = []; // The same documents before and after, for the activity log
+  progressEntries.forEach(([codeFull, data]) => {
+    const progressDocPath = [...progressCollectionPath, codeFull];
+    if (scope.what === 'everything') {
+      // Replaced instead of deleted, so the revision keeps counting up
+      writes.push({ type: 'set', path: progressDocPath, data: { codeFull, ...getNextProgressRevision(codeFull) } });
+      activityChanges.push({ path: progressDocPath, before: data, after: { codeFull } });
+      return;
+    }
+    // Clear the same field on every sub-item of the group. set with merge also works while the
+    // document only exists in the queue (an update would fail with not-found).
+    const field = scope.what === 'ratings' ? 'Rating' : 'finished';
+    const subItems = {};
+    Object.keys(data.subItems || {}).forEach(key => { subItems[key] = { [field]: null }; });
+    writes.push({ type: 'set', merge: true, path: progressDocPath, data: { codeFull, [field]: null, subItems, ...getNextProgressRevision(codeFull) } });
+    activityChanges.push({ path: progressDocPath, before: data, after: mergeProgressFields(data, { [field]: null, subItems }) });
+  });
+  attempts.forEach(({ id, ...attempt }) => {
+    const attemptDocPath = [...attemptsCollectionPath, id];
+    if (scope.what === 'ratings') {
+      if (attempt.rating == null) return;
+      activityChanges.push({ path: attemptDocPath, before: attempt, after: { ...attempt, rating: null } });
+      // Attempts that are only queued are cleared in the queue
+      if (serverAttemptIds.has(id)) writes.push({ type: 'set', merge: true, path: attemptDocPath, data: { rating: null } });
+    } else {
+      activityChanges.push({ path: attemptDocPath, before: attempt, after: null });
+      if (serverAttemptIds.has(id)) writes.push({ type: 'delete', path: attemptDocPath });
+    }
+  });
+
+  // Snapshot the old values before anything is written
+  const snapshot = {
+    uid: currentUser.uid,
+    description: describeClearScope(scope),
+    progressEntries: progressEntries.map(([codeFull, data]) => [codeFull, { ...data }]),
+    attempts: attempts.map(attempt => ({ ...attempt }))
+  };
+
+  // Clear the queued writes before committing, so the queue can't send the old markings meanwhile
+  const clearedCodeFulls = new Set(progressEntries.map(([codeFull]) => codeFull));
+  attempts.forEach(attempt => clearedCodeFulls.add(attempt.codeFull));
+  const originalOps = clearQueuedWrites(clearedCodeFulls, scope.what);
+
+  const confirmBtn = document.getElementById('confirmClearBtn');
+  if (confirmBtn) confirmBtn.disabled = true;
+  try {
+    const writeCount = await storage.commitWrites(writes);
+    snapshot.activityId = logActivity({
+      action: 'clear',
+      description: `Clear ${snapshot.description}`,
+      codeFulls: progressEntries.map(([codeFull]) => codeFull),
+      changes: activityChanges
+    });
+    logActivities(originalOps
+      .map(op => getDroppedWriteEntry(op, outbox.find(queued => queued.id === op.id) || null, 'cleared before it was sent'))
+      .filter(Boolean));
+    lastClearSnapshot = snapshot;
+    console.log(`Cleared ${snapshot.description}: ${writeCount} writes.`);
+    closeClearModal();
+    showUndoBar(`Cleared ${snapshot.description} (${progressEntries.length} tasks, ${attempts.length} attempts).`);
+    // UI will update automatically via onSnapshot listeners
+  } catch (error) {
+    // Keep the snapshot: batches committed before the error can still be undone
+    lastClearSnapshot = snapshot;
+    if (originalOps.length > 0) restoreQueuedWrites(originalOps);
+    showUndoBar(`Clearing ${snapshot.description} failed part-way.`);
+    handleError("Error clearing markings", error);
+  } finally {
+    if (confirmBtn) confirmBtn.disabled = false;
+  }
+}
+
+// Restore the progress and attempt documents removed by the last clear
+async function undoClearMarkings() {
+  if (!lastClearSnapshot) return;
+  if (!currentUser || currentUser.uid !== lastClearSnapshot.uid) {
+    handleError("Cannot undo: signed in as a different user", { message: "User changed since the clear." });
+    return;
+  }
+  const progressCollectionPath = getProgressCollectionPath(currentUser.uid);
+  const attemptsCollectionPath = getAttemptsCollectionPath(currentUser.uid);
+  const writes = [];
+  // The restored documents without the new revision: serverTime() can't be stored inside the changes array
+  const activityChanges = [];
+  lastClearSnapshot.progressEntries.forEach(([codeFull, data]) => {
+    const progressDocPath = [...progressCollectionPath, codeFull];
+    writes.push({ type: 'set', path: progressDocPath, data: { ...data, ...getNextProgressRevision(codeFull) } });
+    activityChanges.push({ path: progressDocPath, before: getCurrentActivityDoc(progressDocPath), after: data });
+  });
+  lastClearSnapshot.attempts.forEach(({ id, ...data }) => {
+    const attemptDocPath = [...attemptsCollectionPath, id]; // Same ID as before
+    writes.push({ type: 'set', path: attemptDocPath, data });
+    activityChanges.push({ path: attemptDocPath, before: getCurrentActivityDoc(attemptDocPath), after: data });
+  });
+
+  // Logged as a revert of the clear's entry, so the activity feed doesn't offer to revert it again
+  try {
+    await storage.commitWrites(writes);
+    logActivity({
+      action: 'revert',
+      description: `Undo clear of ${lastClearSnapshot.description}`,
+      codeFulls: lastClearSnapshot.progressEntries.map(([codeFull]) => codeFull),
+      changes: activityChanges,
+      revertOf: lastClearSnapshot.activityId ?? null
+    });
+    console.log(`Undid clear of ${lastClearSnapshot.description}.`);
+    lastClearSnapshot = null;
+    hideUndoBar();
+  } catch (error) {
+    handleError("Error undoing clear", error);
+  }
+}
+
+function describeClearScope({ what, section }) {
+  const whatText = { everything: 'finished and ratings', ratings: 'ratings', finished: 'finished' }[what];
+  return `${whatText} in ${section === '' ? 'all sections' : `section ${section}`}`;
+}
+
+function getSelectedClearScope() {
+  return {
+    what: document.getElementById('clearWhat').value,
+    section: document.getElementById('clearSection').value
+  };
+}
+
+// Show how many tasks and attempts the selected scope affects
+function updateClearSummary() {
+  const { progressEntries, attempts } = getClearTargets(getSelectedClearScope());
+  document.getElementById('clearSummary').textContent =
+    `This clears ${describeClearScope(getSelectedClearScope())}: ${progressEntries.length} tasks, ${attempts.length} attempts. You can undo it until you reload the page.`;
+}
+
+function openClearModal() {
+  if (!currentUser) {
+    handleError("Sign in to clear your markings", { message: "No user signed in." });
+    return;
+  }
+  const sectionSelect = document.getElementById('clearSection');
+  const sections = [...new Set(dashboardItems.map(getItemSection).filter(section => section !== ''))].sort(naturalCompare);
+  sectionSelect.innerHTML = `<option value="">All sections</option>` +
+    sections.map(section => `<option value="${escapeHtml(section)}">${escapeHtml(section)}</option>`).join('');
+  document.getElementById('clearWhat').value = 'everything';
+  updateClearSummary();
+  document.getElementById('clearModal').style.display = 'block';
+}
+
+function closeClearModal() {
+  const modal = document.getElementById('clearModal');
+  if (modal) modal.style.display = 'none';
+}
+
+function showUndoBar(message) {
+  document.getElementById('undoMessage').textContent = message;
+  document.getElementById('undoBar').style.display = 'block';
+}
+
+function hideUndoBar() {
+  document.getElementById('undoBar').style.display = 'none';
+}
+
+
+// --- Activity Log ---
+// Every change of the signed-in user's progress, of the catalogue and every clear is appended to
+// users/{uid}/activity with the affected documents before and after the change, so a wrong
+// "Mark as Done" can be found in the Activity view and reverted. Entries are never changed; a revert
+// is recorded as a new entry pointing to the reverted one (revertOf), and a queued write that never
+// reached the server as a "dropped" entry pointing to the entry of the write (droppedOf).
+
+const ACTIVITY_FEED_LIMIT = 200; // Entries shown at once, newest first
+const ACTIVITY_DOC_MAX_CHARS = 300000; // Serialized changes per activity document, Firestore documents are limited to 1 MiB
+const ACTIVITY_CHANGES_SHOWN = 8; // Field changes listed per entry before "... and N more"
+let activityEntries = []; // Activity log of the signed-in user, newest first
+
+function getActivityCollectionPath(uid) {
+  return ["users", uid, "activity"];
+}
+
+function isPlainMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Timestamp);
+}
+
+// Compare stored values; a missing field and null count as equal
+function activityValuesEqual(a, b) {
+  return JSON.stringify(a ?? null, timestampReplacer) === JSON.stringify(b ?? null, timestampReplacer);
+}
+
+// Changed fields between two versions of a document; nested maps (sub-items) are flattened to "subItems.A_280 b.Rating"
+function describeFieldChanges(before, after, prefix = '') {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].flatMap(field => {
+    const oldValue = before?.[field];
+    const newValue = after?.[field];
+    if (activityValuesEqual(oldValue, newValue)) return [];
+    if (isPlainMap(oldValue) || isPlainMap(newValue)) {
+      return describeFieldChanges(isPlainMap(oldValue) ? oldValue : {}, isPlainMap(newValue) ? newValue : {}, `${prefix}${field}.`);
+    }
+    return [{ field: `${prefix}${field}`, before: oldValue ?? null, after: newValue ?? null }];
+  });
+}
+
+/* Fields that set `after` back to `before` when merged into it, like a set(..., { merge: true }).
+   Fields that didn't exist before are set to null. */
+function getRevertFields(before, after) {
+  const fields = {};
+  Object.entries(after || {}).forEach(([field, value]) => {
+    const oldValue = before?.[field];
+    if (field === 'codeFull' || activityValuesEqual(oldValue, value)) return;
+    fields[field] = isPlainMap(value) ? getRevertFields(isPlainMap(oldValue) ? oldValue : {}, value) : (oldValue ?? null);
+  });
+  return fields;
+}
+
+// Current version of a document an entry changed, null when it doesn't exist (any more)
+function getCurrentActivityDoc(path) {
+  const id = path[path.length - 1];
+  const collectionId = path[path.length - 2];
+  let data = null;
+  if (path.length === 2 && collectionId === collectionName) {
+    data = catalogueItems.find(item => item.id === id) || null;
+  } else if (collectionId === 'progress') {
+    data = progressByCodeFull[id] || null;
+  } else if (collectionId === 'attempts') {
+    data = Object.values(attemptsByCodeFull).flat().find(attempt => attempt.id === id) || null;
+  }
+  if (!data) return null;
+  const { id: docId, ...fields } = data;
+  return fields;
+}
+
+// Append an entry to the signed-in user's activity log, see logActivities(); returns its ID
+function logActivity(entry) {
+  return logActivities([entry])[0] ?? null;
+}
+
+/**
+ * Appends entries to the signed-in user's activity log in one commit.
+ * @param {Array<object>} entries Each entry:
+ * @param {'progress'|'catalogue'|'clear'|'revert'|'dropped'} entries[].action Kind of change.
+ * @param {string} entries[].description Short text shown in the feed.
+ * @param {Array<string>} entries[].codeFulls Groups the change affected.
+ * @param {Array<{path: Array<string>, before: ?object, after: ?object}>} entries[].changes Documents before and after (null = didn't exist).
+ * @param {?string} [entries[].revertOf] ID of the entry a revert undid.
+ * @param {?string} [entries[].droppedOf] ID of the entry whose queued write was (partly) not saved.
+ * @returns {Array<string>} IDs of the new entries, empty when nobody is signed in.
+ */
+function logActivities(entries) {
+  if (!currentUser || entries.length === 0) return [];
+  const activityCollectionPath = getActivityCollectionPath(currentUser.uid);
+  const createdAt = Timestamp.now();
+  const ids = [];
+  const writes = entries.flatMap(({ action, description, codeFulls, changes, revertOf = null, droppedOf = null }) => {
+    const id = storage.newDocId(activityCollectionPath);
+    ids.push(id);
+    // Large entries (e.g. clearing everything) keep the rest of their changes in part documents
+    const [entryChanges, ...partChanges] = chunkActivityChanges(changes);
+    return [
+      {
+        type: 'set',
+        path: [...activityCollectionPath, id],
+        data: { action, description, codeFulls, changes: entryChanges, revertOf, droppedOf, partCount: partChanges.length, createdAt }
+      },
+      ...partChanges.map((chunk, index) => ({
+        type: 'set',
+        path: [...activityCollectionPath, `${id}-part${index + 1}`],
+        data: { partOf: id, partIndex: index + 1, changes: chunk, createdAt }
+      }))
+    ];
+  });
+  // Not awaited: the entries show up through the listener right away and are sent once online
+  storage.commitWrites(writes).catch(error => handleError("Error writing the activity log", error));
+  return ids;
+}
+
+// Changes split into chunks of at most ACTIVITY_DOC_MAX_CHARS serialized characters, at least one (empty) chunk
+function chunkActivityChanges(changes) {
+  const chunks = [[]];
+  let chunkSize = 0;
+  changes.forEach(change => {
+    const changeSize = JSON.stringify(change, timestampReplacer).length;
+    if (chunkSize + changeSize > ACTIVITY_DOC_MAX_CHARS && chunks[chunks.length - 1].length > 0) {
+      chunks.push([]);
+      chunkSize = 0;
+    }
+    chunks[chunks.length - 1].push(change);
+    chunkSize += changeSize;
+  });
+  return chunks;
+}
+
+// The entry with the changes of its part documents appended, null while not all parts have arrived
+function joinActivityParts(entry, partsByEntryId) {
+  const parts = [...(partsByEntryId.get(entry.id) || [])].sort((a, b) => a.partIndex - b.partIndex);
+  if (parts.length < (entry.partCount ?? 0)) return null;
+  if (parts.length === 0) return entry;
+  return { ...entry, changes: [...entry.changes, ...parts.flatMap(part => part.changes)] };
+}
+
+// Documents a queued write changes, the same paths as in its activity entry
+function getQueuedWritePaths(op) {
+  const attemptsCollectionPath = getAttemptsCollectionPath(op.uid);
+  const paths = [];
+  if (op.progress) paths.push([...getProgressCollectionPath(op.uid), op.codeFull]);
+  if (op.attempt) paths.push([...attemptsCollectionPath, op.attempt.id]);
+  if (op.attemptUpdate) paths.push([...attemptsCollectionPath, op.attemptUpdate.id]);
+  if (op.attemptDelete) paths.push([...attemptsCollectionPath, op.attemptDelete]);
+  return paths;
+}
+
+/* Activity entry recording that a queued write was dropped before reaching the server, for the
+   documents `op` changes that `keptOp` (what is still sent of it, or null) doesn't. null when
+   nothing was dropped or the write has no entry. */
+function getDroppedWriteEntry(op, keptOp, reason) {
+  if (!op.activityId) return null;
+  const keptPaths = new Set((keptOp ? getQueuedWritePaths(keptOp) : []).map(path => path.join('/')));
+  const droppedPaths = getQueuedWritePaths(op).filter(path => !keptPaths.has(path.join('/')));
+  if (droppedPaths.length === 0) return null;
+  return {
+    action: 'dropped',
+    description: `Not saved (${reason}): ${op.description}`,
+    codeFulls: [op.codeFull],
+    changes: droppedPaths.map(path => ({ path, before: null, after: null })),
+    droppedOf: op.activityId
+  };
+}
+
+// Documents a queued progress write is about to change, taken before it is applied (see queueProgressWrite)
+function getQueuedWriteChanges(write) {
+  const uid = currentUser.uid;
+  const changes = [];
+  if (write.progress) {
+    const before = progressByCodeFull[write.codeFull] || null;
+    const after = mergeProgressFields(before || { codeFull: write.codeFull }, write.progress);
+    changes.push({ path: [...getProgressCollectionPath(uid), write.codeFull], before, after });
+  }
+  const findAttempt = (attemptId) => {
+    const attempt = (attemptsByCodeFull[write.codeFull] || []).find(existing => existing.id === attemptId);
+    if (!attempt) return null;
+    const { id, ...data } = attempt;
+    return data;
+  };
+  const attemptsCollectionPath = getAttemptsCollectionPath(uid);
+  if (write.attempt) {
+    changes.push({ path: [...attemptsCollectionPath, write.attempt.id], before: null, after: write.attempt.data });
+  }
+  if (write.attemptUpdate) {
+    const before = findAttempt(write.attemptUpdate.id);
+    changes.push({ path: [...attemptsCollectionPath, write.attemptUpdate.id], before, after: before && { ...before, ...write.attemptUpdate.data } });
+  }
+  if (write.attemptDelete) {
+    changes.push({ path: [...attemptsCollectionPath, write.attemptDelete], before: findAttempt(write.attemptDelete), after: null });
+  }
+  return changes;
+}
+
+// Paths ("users/uid/progress/A_280") that were never saved, by the ID of the entry that changed them
+function getDroppedPathsByEntryId() {
+  const droppedPaths = new Map();
+  activityEntries.filter(entry => entry.droppedOf).forEach(entry => {
+    const paths = droppedPaths.get(entry.droppedOf) || new Set();
+    entry.changes.forEach(({ path }) => paths.add(path.join('/')));
+    droppedPaths.set(entry.droppedOf, paths);
+  });
+  return droppedPaths;
+}
+
+// Changes of an entry that reached the server, i.e. without the dropped ones
+function getSavedChanges(entry, droppedPathsByEntryId = getDroppedPathsByEntryId()) {
+  const droppedPaths = droppedPathsByEntryId.get(entry.id);
+  return droppedPaths ? entry.changes.filter(({ path }) => !droppedPaths.has(path.join('/'))) : entry.changes;
+}
+
+// Entries reverted by a later entry whose write wasn't dropped
+function getRevertedEntryIds() {
+  const droppedPathsByEntryId = getDroppedPathsByEntryId();
+  return new Set(activityEntries
+    .filter(entry => entry.revertOf && getSavedChanges(entry, droppedPathsByEntryId).length > 0)
+    .map(entry => entry.revertOf));
+}
+
+/**
+ * Reverts one activity entry. Progress changes go through the queue like any other progress write
+ * (so conflicts with other devices are still detected); catalogue changes and clears write the
+ * previous documents back directly, like undoClearMarkings(). Asks first when a changed field has
+ * been changed again since.
+ * @param {string} entryId ID of the activity entry.
+ */
+async function revertActivityEntry(entryId) {
+  const foundEntry = activityEntries.find(candidate => candidate.id === entryId);
+  if (!foundEntry || !currentUser || foundEntry.action === 'revert' || foundEntry.action === 'dropped') return;
+  if (getRevertedEntryIds().has(entryId)) return;
+  // Changes that were never saved are not reverted
+  const entry = { ...foundEntry, changes: getSavedChanges(foundEntry) };
+  if (entry.changes.length === 0) return;
+
+  const changedSince = entry.changes.some(({ path, before, after }) => {
+    const changedFields = new Set(describeFieldChanges(before, after)
+      .map(change => change.field)
+      .filter(field => !syncBookkeepingFields.includes(field)));
+    return describeFieldChanges(after, getCurrentActivityDoc(path)).some(change => changedFields.has(change.field));
+  });
+  if (changedSince && !confirm(`Some of these values were changed again after "${entry.description}". Revert anyway?`)) {
+    return;
+  }
+
+  const description = `Revert: ${entry.description}`;
+  if (entry.action === 'progress') {
+    const write = { codeFull: entry.codeFulls[0], description, revertOf: entry.id };
+    entry.changes.forEach(({ path, before, after }) => {
+      const id = path[path.length - 1];
+      if (path[path.length - 2] === 'progress') write.progress = getRevertFields(before, after);
+      else if (!before) write.attemptDelete = id; // The attempt was recorded by this change
+      else if (!after) write.attempt = { id, data: before };
+      else write.attemptUpdate = { id, data: getRevertFields(before, after) };
+    });
+    queueProgressWrite(write);
+    return;
+  }
+
+  const writes = entry.changes.map(({ path, before }) => {
+    if (path[path.length - 2] === 'progress') {
+      // The revision keeps counting up (a delete would reset it), so writes queued against the old one still conflict
+      const codeFull = path[path.length - 1];
+      return { type: 'set', path, data: { ...(before || { codeFull }), ...getNextProgressRevision(codeFull) } };
+    }
+    return before ? { type: 'set', path, data: before } : { type: 'delete', path };
+  });
+  const changes = entry.changes.map(({ path, before }) => ({ path, before: getCurrentActivityDoc(path), after: before }));
+  try {
+    await storage.commitWrites(writes);
+    logActivity({ action: 'revert', description, codeFulls: entry.codeFulls, changes, revertOf: entry.id });
+    console.log(`Reverted activity entry ${entry.id}.`);
+    if (lastClearSnapshot?.activityId === entry.id) { // Already undone, the undo bar would restore it twice
+      lastClearSnapshot = null;
+      hideUndoBar();
+    }
+  } catch (error) {
+    handleError(`Error reverting "${entry.description}"`, error);
+  }
+}
+
+// One line per changed field, e.g. "A_280 Rating: hard -> easy"
+function describeActivityChanges(entry) {
+  return entry.changes.flatMap(({ path, before, after }) => {
+    const id = path[path.length - 1];
+    const label = { progress: id, attempts: 'attempt' }[path[path.length - 2]] ?? (after || before)?.codeSection ?? id;
+    if (entry.action === 'dropped') return [`${label} not saved`];
+    if (!before) return [`${label} created`];
+    if (!after) return [`${label} deleted`];
+    return describeFieldChanges(before, after)
+      .filter(change => !syncBookkeepingFields.includes(change.field))
+      .map(change => `${label} ${change.field}: ${describeProgressValue(change.before)} -> ${describeProgressValue(change.after)}`);
+  });
+}
+
+// Feed of the activity log, filtered by action and by text (codeFull or description)
+function renderActivityFeed() {
+  const feed = document.getElementById('activityFeed');
+  if (!feed) return;
+  const action = document.getElementById('activityAction').value;
+  const searchText = document.getElementById('activitySearch').value.trim().toLowerCase();
+  const matches = activityEntries.filter(entry =>
+    (action === '' || entry.action === action) &&
+    (searchText === '' || entry.description.toLowerCase().includes(searchText) ||
+      entry.codeFulls.some(codeFull => codeFull.toLowerCase().includes(searchText))));
+  document.getElementById('activityStatus').textContent = !currentUser
+    ? 'Sign in to see your activity.'
+    : `${matches.length} of ${activityEntries.length} changes${matches.length > ACTIVITY_FEED_LIMIT ? `, showing the latest ${ACTIVITY_FEED_LIMIT}` : ''}.`;
+
+  const revertedIds = getRevertedEntryIds();
+  const droppedPathsByEntryId = getDroppedPathsByEntryId();
+  feed.innerHTML = matches.slice(0, ACTIVITY_FEED_LIMIT).map(entry => {
+    const lines = describeActivityChanges(entry);
+    const moreText = lines.length > ACTIVITY_CHANGES_SHOWN ? `<li>... and ${lines.length - ACTIVITY_CHANGES_SHOWN} more</li>` : '';
+    let revertControl = `<button type="button" data-revert-activity="${escapeHtml(entry.id)}">Revert this change</button>`;
+    if (entry.action === 'revert' || entry.action === 'dropped') revertControl = '';
+    else if (getSavedChanges(entry, droppedPathsByEntryId).length === 0) revertControl = '<span class="activity-reverted">Not saved</span>';
+    else if (revertedIds.has(entry.id)) revertControl = '<span class="activity-reverted">Reverted</span>';
+    return `<li class="activity-entry activity-${escapeHtml(entry.action)}">
+      <strong>${escapeHtml(formatDate(entry.createdAt))}</strong> ${escapeHtml(entry.description)}
+      <small>${escapeHtml(entry.codeFulls.slice(0, 10).join(', '))}${entry.codeFulls.length > 10 ? ` and ${entry.codeFulls.length - 10} more` : ''}</small>
+      ${revertControl}
+      <ul class="activity-changes">${lines.slice(0, ACTIVITY_CHANGES_SHOWN).map(line => `<li>${escapeHtml(line)}</li>`).join('')}${moreText}</ul>
+    </li>`;
+  }).join('');
+}
+
+function handleActivityFeedClick(event) {
+  const button = event.target.closest('[data-revert-activity]');
+  if (!button) return;
+  button.disabled = true; // The feed is re-rendered by the listener once the revert is logged
+  revertActivityEntry(button.dataset.revertActivity).finally(() => { button.disabled = false; });
+}
+
+
+// --- Authentication ---
+
+// Called by onAuthStateChanged whenever the user signs in or out
+function handleAuthStateChanged(user) {
+  currentUser = user;
+  console.log(user ? `Signed in as ${user.uid}` : "Signed out.");
+  updateAuthUi();
+  updateCatalogueAdmin(user);
+  // A conflict of the previous user can't be resolved any more; their writes stay queued for their next sign-in
+  pendingConflict = null;
+  const conflictModal = document.getElementById('conflictModal');
+  if (conflictModal) conflictModal.style.display = 'none';
+  listenForProgressUpdates(user ? user.uid : null);
+  updateSyncIndicator();
+  flushOutbox();
+}
+
+// Show either the sign-in form or the signed-in user with a sign-out button
+function updateAuthUi() {
+  const signInForm = document.getElementById('signInForm');
+  const signOutBtn = document.getElementById('signOutBtn');
+  const authUser = document.getElementById('authUser');
+  // The local backend has a single user and nothing to sign in to
+  if (signInForm) signInForm.style.display = currentUser || storage.isLocal ? 'none' : 'inline';
+  if (signOutBtn) signOutBtn.style.display = currentUser && !storage.isLocal ? 'inline' : 'none';
+  if (authUser) {
+    authUser.textContent = storage.isLocal
+      ? 'Local mode: progress is saved in this browser'
+      : currentUser
+      ? `Signed in as ${currentUser.isAnonymous ? 'guest' : (currentUser.email || currentUser.uid)}`
+      : 'Sign in to track your progress';
+  }
+}
+
+async function handleSignIn(event) {
+  event.preventDefault();
+  const email = document.getElementById('authEmail').value.trim();
+  const password = document.getElementById('authPassword').value;
+  try {
+    await authSdk.signInWithEmailAndPassword(auth, email, password);
+    document.getElementById('authPassword').value = '';
+  } catch (error) {
+    handleError("Sign in failed", error);
+  }
+}
+
+async function handleRegister() {
+  const email = document.getElementById('authEmail').value.trim();
+  const password = document.getElementById('authPassword').value;
+  try {
+    await authSdk.createUserWithEmailAndPassword(auth, email, password);
+    document.getElementById('authPassword').value = '';
+  } catch (error) {
+    handleError("Registration failed", error);
+  }
+}
+
+async function handleGuestSignIn() {
+  try {
+    await authSdk.signInAnonymously(auth);
+  } catch (error) {
+    handleError("Guest sign in failed", error);
+  }
+}
+
+async function handleSignOut() {
+  try {
+    await authSdk.signOut(auth);
+  } catch (error) {
+    handleError("Sign out failed", error);
+  }
+}
+
+// --- SQLite Export ---
+
+const SQLJS_CDN_BASE = "https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/";
+const sqliteTableName = "table_data"; // Table name used in data/data_bifie.db
+let sqlJsPromise = null; // sql.js is only initialized on first use (loads a .wasm file)
+
+// Column mapping between the SQLite table_data schema and the Firestore document fields
+const sqliteColumnMap = [
+  { column: "Insert Item", field: "insertItem", type: "TEXT" },
+  { column: "Name", field: "name", type: "TEXT" },
+  { column: "Date_release", field: "dateRelease", type: "REAL" },
+  { column: "Code_section", field: "codeSection", type: "TEXT" },
+  { column: "code_full", field: "codeFull", type: "TEXT" },
+  { column: "finished", field: "finished", type: "REAL" },
+  { column: "Rating", field: "Rating", type: "REAL" }
+];
+
+// Load sql.js (script tag in index.html) and cache the initialized module
+function loadSqlJs() {
+  if (typeof initSqlJs === 'undefined') {
+    return Promise.reject(new Error('sql.js library is not loaded'));
+  }
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs({ locateFile: file => `${SQLJS_CDN_BASE}${file}` });
+  }
+  return sqlJsPromise;
+}
+
+/* Convert a 'finished' value (Timestamp, Date, date string or number) to the REAL format of the
+   SQLite file: seconds since the Unix epoch. Returns null for unfinished items. */
+function toSqliteFinished(finishedValue) {
+  if (!finishedValue || (typeof finishedValue === 'string' && finishedValue.trim() === '')) {
+    return null;
+  }
+  if (typeof finishedValue === 'number') return finishedValue; // Already in REAL format
+
+  let dateToConvert = finishedValue;
+  // Handle potential multiple timestamps string - use the last one, same as the table does
+  if (typeof finishedValue === 'string' && finishedValue.includes(',')) {
+    const parts = finishedValue.split(',').map(s => s.trim());
+    dateToConvert = parts[parts.length - 1];
+  }
+
+  let dateObj;
+  if (dateToConvert instanceof Timestamp) dateObj = dateToConvert.toDate();
+  else if (dateToConvert instanceof Date) dateObj = dateToConvert;
+  else dateObj = new Date(dateToConvert);
+
+  if (isNaN(dateObj.getTime())) {
+    console.warn("Could not convert 'finished' value for SQLite export:", finishedValue);
+    return null;
+  }
+  return dateObj.getTime() / 1000;
+}
+
+// Convert a dashboard item field to the value stored in its SQLite column
+function toSqliteValue(item, { field, type }) {
+  const value = item[field];
+  if (field === 'finished') return toSqliteFinished(value);
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'REAL' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value); // e.g. dateRelease stored as "19.05"
+  }
+  if (value instanceof Timestamp) return value.toDate().getTime() / 1000;
+  return value; // SQLite is dynamically typed, e.g. Rating values like "easy" are kept as text
+}
+
+// Build a SQLite file with the table_data schema from the current dashboardItems cache and download it
+async function downloadUpdatedDb() {
+  if (!dashboardItems || dashboardItems.length === 0) {
+    handleError("Cannot export database: No items loaded", { message: "dashboardItems is empty." });
+    return;
+  }
+
+  const downloadBtn = document.getElementById('downloadDbBtn');
+  if (downloadBtn) downloadBtn.disabled = true;
+
+  let sqlDb = null;
+  try {
+    const SQL = await loadSqlJs();
+    sqlDb = new SQL.Database();
+
+    const columnDefs = sqliteColumnMap.map(({ column, type }) => `"${column}" ${type}`).join(",\n  ");
+    sqlDb.run(`CREATE TABLE "${sqliteTableName}" (\n${columnDefs}\n)`);
+
+    const columnNames = sqliteColumnMap.map(({ column }) => `"${column}"`).join(", ");
+    const placeholders = sqliteColumnMap.map(() => "?").join(", ");
+    const insertStmt = sqlDb.prepare(`INSERT INTO "${sqliteTableName}" (${columnNames}) VALUES (${placeholders})`);
+    sqlDb.run("BEGIN TRANSACTION");
+    dashboardItems.forEach(item => {
+      insertStmt.run(sqliteColumnMap.map(mapping => toSqliteValue(item, mapping)));
+    });
+    sqlDb.run("COMMIT");
+    insertStmt.free();
+
+    const fileBytes = sqlDb.export();
+    downloadBlob(new Blob([fileBytes], { type: "application/x-sqlite3" }), "data_bifie.db");
+    console.log(`Exported ${dashboardItems.length} items to SQLite file.`);
+  } catch (error) {
+    handleError("Error exporting database to SQLite", error);
+  } finally {
+    if (sqlDb) sqlDb.close();
+    if (downloadBtn) downloadBtn.disabled = false;
+  }
+}
+
+// --- SQLite Import ---
 
-  if (!tasks || tasks.length === 0) {
-    tableBody.innerHTML = '<tr><td colspan="100%">No tasks to display.</td></tr>';
-    return;
+const BUNDLED_DB_PATH = "data/data_bifie.db";
+// Fields describing a task itself; progress fields (finished, Rating) are never overwritten by an import
+const catalogueFields = ["insertItem", "name", "dateRelease", "codeSection", "codeFull"];
+let pendingImport = null; // Dry-run result waiting for confirmation in the import modal
+
+/* Key identifying one table row: a sub-item (codeSection, e.g. "A_280 b") can be listed
+   under several syllabus sections (insertItem), so both are needed to tell rows apart. */
+function getItemKey(item) {
+  return `${item.insertItem ?? ''}|${item.codeSection ?? ''}`;
+}
+
+// Convert the REAL 'finished' value of the SQLite file (seconds since epoch) back to a Timestamp
+function fromSqliteFinished(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (isNaN(seconds)) {
+    console.warn("Could not convert SQLite 'finished' value:", value);
+    return null;
   }
+  return Timestamp.fromMillis(seconds * 1000);
+}
 
-  // Determine columns from the first item
-  const columns = Object.keys(tasks[0]).filter(key => key !== 'id');
+// Read all rows of table_data from a SQLite file and map them to the camelCase item fields
+async function readSqliteItems(fileBuffer) {
+  const SQL = await loadSqlJs();
+  const sqlDb = new SQL.Database(new Uint8Array(fileBuffer));
+  try {
+    const columnNames = sqliteColumnMap.map(({ column }) => `"${column}"`).join(", ");
+    const result = sqlDb.exec(`SELECT ${columnNames} FROM "${sqliteTableName}"`);
+    if (result.length === 0) return [];
 
-  // Generate header
-  let headerRow = document.createElement("tr");
-  columns.forEach(colName => {
-    let th = document.createElement("th");
-    th.textContent = colName;
-    headerRow.appendChild(th);
+    return result[0].values.map(row => {
+      const item = {};
+      sqliteColumnMap.forEach(({ field }, index) => {
+        item[field] = field === 'finished' ? fromSqliteFinished(row[index]) : row[index];
+      });
+      return item;
+    });
+  } finally {
+    sqlDb.close();
+  }
+}
+
+// Compare a catalogue field loosely, so "19.05" and 19.05 (or null and '') count as equal
+function catalogueValuesEqual(a, b) {
+  const normalize = value => (value === null || value === undefined) ? '' : String(value).trim();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Builds the dry-run diff between the rows of an imported file and the current dashboardItems.
+ * @param {Array<object>} importedItems Items read from the SQLite file.
+ * @returns {{newItems: Array, changedItems: Array, droppedItems: Array, unchangedCount: number}}
+ */
+function buildImportDiff(importedItems) {
+  const existingByKey = new Map();
+  dashboardItems.forEach(item => {
+    const key = getItemKey(item);
+    if (existingByKey.has(key)) {
+      console.warn(`Duplicate task '${key}' in Firestore, only the first document is matched on import.`);
+      return;
+    }
+    existingByKey.set(key, item);
   });
-  header.appendChild(headerRow);
 
-  // Create and append table rows
-  tasks.forEach(task => {
-    const tr = createTableRow(task, columns);
-    tableBody.appendChild(tr);
+  const importedByKey = new Map();
+  importedItems.forEach(item => importedByKey.set(getItemKey(item), item)); // Last row wins on duplicates
+
+  const newItems = [];
+  const changedItems = [];
+  let unchangedCount = 0;
+  importedByKey.forEach((importedItem, key) => {
+    const existingItem = existingByKey.get(key);
+    if (!existingItem) {
+      newItems.push(importedItem);
+      return;
+    }
+    const changes = {};
+    catalogueFields.forEach(field => {
+      if (!catalogueValuesEqual(existingItem[field], importedItem[field])) {
+        changes[field] = { from: existingItem[field] ?? null, to: importedItem[field] ?? null };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      changedItems.push({ item: existingItem, changes });
+    } else {
+      unchangedCount++;
+    }
   });
 
-  showingSingleRandomTask = true;
+  const droppedItems = [...existingByKey.entries()]
+    .filter(([key]) => !importedByKey.has(key))
+    .map(([, item]) => item);
+
+  return { newItems, changedItems, droppedItems, unchangedCount };
 }
 
-// Display details and table row(s) for a single item ID
-function displaySingleTask(itemId, updateOutputDiv = false) {
-    const tableBody = document.getElementById('dashboard-body');
-    const header = document.getElementById("dashboard-header");
-    const outputDiv = document.getElementById("randomTaskOutput");
-    tableBody.innerHTML = ''; // Clear table body
-    header.innerHTML = ''; // Clear table header
-    if (updateOutputDiv) outputDiv.innerHTML = ''; // Clear output div
+// Render the dry-run diff into the import modal
+function renderImportDiff(diff, sourceName) {
+  const diffDiv = document.getElementById('importDiff');
+  const describeItem = item => `${escapeHtml(item.codeSection)} (${escapeHtml(item.insertItem)}) - ${escapeHtml(item.name)}`;
+  const listSection = (title, entries, toHtml) => `
+    <details${entries.length > 0 && entries.length <= 50 ? ' open' : ''}>
+      <summary>${title}: ${entries.length}</summary>
+      <ul>${entries.map(entry => `<li>${toHtml(entry)}</li>`).join('')}</ul>
+    </details>`;
 
-    if (!dashboardItems) { // Added check
-        handleError(`Error displaying single task: Dashboard items not loaded.`);
-        if (updateOutputDiv) outputDiv.innerHTML = `<span style="color:red;">Error displaying task details (data not loaded).</span>`;
-        showingSingleRandomTask = false;
-        return;
-    }
+  diffDiv.innerHTML = `
+    <p><strong>Dry run for ${escapeHtml(sourceName)}</strong> - nothing has been written yet.
+      Unchanged tasks: ${diff.unchangedCount}</p>
+    ${listSection('New tasks', diff.newItems, describeItem)}
+    ${listSection('Changed tasks', diff.changedItems, ({ item, changes }) => `${describeItem(item)}: ` +
+      Object.entries(changes).map(([field, { from, to }]) =>
+        `${escapeHtml(field)} <del>${escapeHtml(from)}</del> &rarr; <ins>${escapeHtml(to)}</ins>`).join(', '))}
+    ${listSection('Tasks missing from the file (would be dropped)', diff.droppedItems, describeItem)}
+  `;
+  document.getElementById('applyImportBtn').disabled =
+    diff.newItems.length === 0 && diff.changedItems.length === 0 && diff.droppedItems.length === 0;
+}
 
-    const item = dashboardItems.find(i => i.id === itemId);
+// Read a SQLite file (from the file input or the bundled copy) and show the dry-run diff
+async function prepareImport(fileBuffer, sourceName) {
+  const diffDiv = document.getElementById('importDiff');
+  diffDiv.textContent = `Reading ${sourceName}...`;
+  document.getElementById('applyImportBtn').disabled = true;
+  pendingImport = null;
+  try {
+    const importedItems = await readSqliteItems(fileBuffer);
+    console.log(`Read ${importedItems.length} rows from ${sourceName}.`);
+    pendingImport = buildImportDiff(importedItems);
+    renderImportDiff(pendingImport, sourceName);
+  } catch (error) {
+    diffDiv.textContent = `Could not read ${sourceName}. Is it a SQLite file with a "${sqliteTableName}" table?`;
+    handleError(`Error reading SQLite file ${sourceName}`, error);
+  }
+}
 
-    if (!item) {
-        handleError(`Error displaying single task: Item ID ${itemId} not found in local cache.`);
-        tableBody.innerHTML = '<tr><td colspan="100%">Error loading task details.</td></tr>';
-        if (updateOutputDiv) outputDiv.innerHTML = `<span style="color:red;">Error displaying task details.</span>`;
-        showingSingleRandomTask = false; // Ensure flag is reset on error
-        return;
-    }
+async function handleImportFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  await prepareImport(await file.arrayBuffer(), file.name);
+  event.target.value = ''; // Allow re-selecting the same file
+}
 
-    // Determine columns (excluding 'id')
-    const columns = Object.keys(item).filter(key => key !== 'id');
+async function handleImportBundledDb() {
+  try {
+    const response = await fetch(BUNDLED_DB_PATH);
+    if (!response.ok) throw new Error(`HTTP ${response.status} while fetching ${BUNDLED_DB_PATH}`);
+    await prepareImport(await response.arrayBuffer(), BUNDLED_DB_PATH);
+  } catch (error) {
+    handleError(`Error loading ${BUNDLED_DB_PATH}`, error);
+  }
+}
 
-    // Generate header
-    let headerRow = document.createElement("tr");
-    columns.forEach(colName => {
-        let th = document.createElement("th");
-        th.textContent = colName; // Corrected variable name
-        headerRow.appendChild(th);
+// Upsert the pending import into the catalogue using batched writes
+async function applyImport() {
+  if (!pendingImport) return;
+  const { newItems, changedItems, droppedItems } = pendingImport;
+  const removeDropped = document.getElementById('importRemoveDropped').checked;
+
+  const writes = [];
+  newItems.forEach(item => {
+    // Progress is stored per user, so only the catalogue fields go into the shared document
+    const catalogueData = {};
+    catalogueFields.forEach(field => { catalogueData[field] = item[field] ?? null; });
+    writes.push({ type: 'set', path: [collectionName, storage.newDocId([collectionName])], data: catalogueData });
+  });
+  changedItems.forEach(({ item, changes }) => {
+    const update = {};
+    Object.entries(changes).forEach(([field, { to }]) => { update[field] = to; });
+    writes.push({ type: 'update', path: [collectionName, item.id], data: update });
+  });
+  if (removeDropped) {
+    droppedItems.forEach(item => writes.push({ type: 'delete', path: [collectionName, item.id] }));
+  }
+
+  const applyBtn = document.getElementById('applyImportBtn');
+  applyBtn.disabled = true;
+  try {
+    const writeCount = await storage.commitWrites(writes);
+    console.log(`Import applied: ${newItems.length} new, ${changedItems.length} changed, ` +
+      `${removeDropped ? droppedItems.length : 0} deleted (${writeCount} writes).`);
+    pendingImport = null;
+    closeImportModal();
+    // UI will update automatically via onSnapshot listener
+  } catch (error) {
+    applyBtn.disabled = false;
+    handleError("Error applying import (batches committed before the error are kept)", error);
+  }
+}
+
+function openImportModal() {
+  pendingImport = null;
+  document.getElementById('importDiff').innerHTML = '';
+  document.getElementById('importRemoveDropped').checked = false;
+  document.getElementById('applyImportBtn').disabled = true;
+  document.getElementById('importModal').style.display = 'block';
+}
+
+function closeImportModal() {
+  const modal = document.getElementById('importModal');
+  if (modal) modal.style.display = 'none';
+  pendingImport = null;
+}
+
+// --- Progress Export and Import ---
+// Plain CSV/JSON files, e.g. to move progress to another Firebase project or to share it with a tutor.
+// Progress files have one row per codeFull (codeFull, finished, Rating); "all fields" exports every
+// table row. Importing merges a progress file by codeFull after a preview of the differences.
+
+const progressExportFields = ["codeFull", "finished", "Rating"];
+let pendingProgressImport = null; // Preview waiting for confirmation in the progress import modal
+
+// Exported cell value: dates as ISO strings, lists (tags) as comma-separated text in CSV
+function toExportValue(value, format) {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return format === 'csv' ? value.join(', ') : value;
+  return value ?? null;
+}
+
+// One row per codeFull with the latest completion and the group rating, or one row per table row
+function getExportRows(scope) {
+  if (scope === 'all') {
+    const fields = [...new Set(dashboardItems.flatMap(item => Object.keys(item)))]
+      .filter(field => field !== 'attemptHistory');
+    return { fields, rows: dashboardItems };
+  }
+  const rows = [];
+  const seen = new Set();
+  dashboardItems.forEach(item => {
+    if (seen.has(item.codeFull)) return;
+    seen.add(item.codeFull);
+    const lastAttempt = item.attemptHistory[item.attemptHistory.length - 1];
+    rows.push({
+      codeFull: item.codeFull,
+      finished: lastAttempt ? lastAttempt.finishedAt : null,
+      Rating: progressByCodeFull[item.codeFull]?.Rating ?? null
     });
-    header.appendChild(headerRow);
+  });
+  return { fields: progressExportFields, rows };
+}
 
-    // Create and append the single table row
-    const tr = createTableRow(item, columns);
-    tableBody.appendChild(tr);
+function csvEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    // Update the randomTaskOutput div if requested
-    if (updateOutputDiv) {
-        let detailsHtml = `<strong>Random Task Selected:</strong><br><div class="task-details">`;
-        columns.forEach(colName => {
-            let cellValue = item[colName] ?? '';
-            if (colName === 'finished' && cellValue && (typeof cellValue !== 'string' || cellValue.trim() !== '')) {
-                cellValue = formatDate(cellValue);
-            }
-            // Only display non-empty values for clarity
-            if (String(cellValue).trim() !== '') {
-                detailsHtml += `<span><strong>${colName}:</strong> ${cellValue}</span><br>`;
-            }
-        });
-        detailsHtml += `</div>`;
-        outputDiv.innerHTML = detailsHtml;
-    }
-    // Ensure the flag is set correctly when displaying a single task
-    showingSingleRandomTask = true;
+function toCsv(fields, rows) {
+  const lines = [fields.map(csvEscape).join(',')];
+  rows.forEach(row => lines.push(fields.map(field => csvEscape(toExportValue(row[field], 'csv'))).join(',')));
+  return lines.join('\r\n') + '\r\n';
 }
 
-// Clear 'finished' and 'Rating' fields for all documents
-async function clearAllMarkings() {
-  // ... (confirmation dialog) ...
-  // ... (check if dashboardItems exists) ...
+// Start a download of a Blob under the given file name
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-  try {
-      // ... (batch initialization) ...
+function exportProgress() {
+  if (!dashboardItems || dashboardItems.length === 0) {
+    handleError("Cannot export: No items loaded", { message: "dashboardItems is empty." });
+    return;
+  }
+  const format = document.getElementById('exportFormat').value;
+  const scope = document.getElementById('exportScope').value;
+  const { fields, rows } = getExportRows(scope);
+  const baseName = `dashsy-${scope === 'all' ? 'tasks' : 'progress'}-${getDateKey(new Date())}`;
+  if (format === 'json') {
+    const data = rows.map(row => Object.fromEntries(fields.map(field => [field, toExportValue(row[field], 'json')])));
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+  } else {
+    downloadBlob(new Blob([toCsv(fields, rows)], { type: 'text/csv' }), `${baseName}.csv`);
+  }
+  console.log(`Exported ${rows.length} rows as ${format.toUpperCase()}.`);
+}
 
-      for (const item of dashboardItems) {
-          const itemRef = doc(db, collectionName, item.id);
-          // *** Ensure field names match exactly what you use elsewhere ('rating' or 'Rating') ***
-          batch.update(itemRef, { finished: null, Rating: null }); // Or rating: null
-          // ... (batch commit logic) ...
+/* Minimal RFC 4180 parser: quoted fields may contain commas, quotes ("") and line breaks.
+   Returns one object per data row, keyed by the header row. */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, ''); // Byte order mark written by spreadsheet programs
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
       }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const [header = [], ...dataRows] = records.filter(row => row.some(value => value.trim() !== ''));
+  return dataRows.map(row => Object.fromEntries(header.map((name, index) => [name.trim(), row[index] ?? ''])));
+}
+
+/**
+ * Reads a progress file (CSV, or JSON as written by exportProgress) into one entry per codeFull.
+ * Rows of the same codeFull (e.g. an "all fields" export) are combined: latest finished, last rating.
+ * Ratings that are not on the rating scale are left out and reported in unknownRatings.
+ * @returns {{entries: Map<string, {finished: ?Date, Rating: ?string}>, skippedRows: number, unknownRatings: Array<string>}}
+ */
+function readProgressFile(text, fileName) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  let rows;
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed.items;
+    if (!Array.isArray(rows)) throw new Error("The JSON file does not contain a list of rows");
+  } else {
+    rows = parseCsv(text);
+  }
+
+  const entries = new Map();
+  const ratingNames = getRatingNames();
+  const unknownRatings = new Set();
+  let skippedRows = 0;
+  rows.forEach(row => {
+    const codeFull = String(row?.codeFull ?? '').trim();
+    if (codeFull === '') {
+      skippedRows++;
+      return;
+    }
+    const finishedText = row.finished === null || row.finished === undefined ? '' : String(row.finished).trim();
+    const finished = finishedText === '' ? null : new Date(finishedText);
+    if (finished && isNaN(finished.getTime())) {
+      console.warn(`Skipping row of ${codeFull}: invalid finished value`, row.finished);
+      skippedRows++;
+      return;
+    }
+    let rating = row.Rating === null || row.Rating === undefined || String(row.Rating).trim() === '' ? null : String(row.Rating).trim();
+    if (rating && !ratingNames.includes(rating)) {
+      unknownRatings.add(rating);
+      rating = null;
+    }
+    const entry = entries.get(codeFull) || { finished: null, Rating: null };
+    if (finished && (!entry.finished || finished > entry.finished)) entry.finished = finished;
+    if (rating) entry.Rating = rating;
+    entries.set(codeFull, entry);
+  });
+  return { entries, skippedRows, unknownRatings: [...unknownRatings] };
+}
 
-      // ... (final batch commit logic) ...
-      // ... (success messages) ...
+/**
+ * Compares the file's entries with the signed-in user's progress.
+ * @returns {{added: Array, conflicts: Array, unchangedCount: number, unknownCodeFulls: Array<string>}}
+ *   added and conflicts hold { codeFull, file: {finished, Rating}, current: {finished, Rating} }.
+ */
+function buildProgressImportPreview(entries) {
+  const knownCodeFulls = new Set(dashboardItems.map(item => item.codeFull));
+  const added = [];
+  const conflicts = [];
+  const unknownCodeFulls = [];
+  let unchangedCount = 0;
+  entries.forEach((file, codeFull) => {
+    if (!knownCodeFulls.has(codeFull)) {
+      unknownCodeFulls.push(codeFull);
+      return;
+    }
+    const history = getAttemptHistory(codeFull);
+    const lastAttempt = history[history.length - 1];
+    const current = {
+      finished: lastAttempt ? lastAttempt.finishedAt.toDate() : null,
+      Rating: progressByCodeFull[codeFull]?.Rating ?? null
+    };
+    const sameFinished = (file.finished?.getTime() ?? null) === (current.finished?.getTime() ?? null);
+    if (sameFinished && (file.Rating ?? null) === current.Rating) {
+      unchangedCount++;
+    } else if (!current.finished && !current.Rating) {
+      added.push({ codeFull, file, current });
+    } else if ((!file.finished || sameFinished) && !file.Rating) {
+      unchangedCount++; // The file knows less than this device, nothing to merge
+    } else {
+      conflicts.push({ codeFull, file, current });
+    }
+  });
+  return { added, conflicts, unchangedCount, unknownCodeFulls };
+}
+
+function renderProgressImportPreview(preview, fileName, skippedRows, unknownRatings) {
+  const touchedCodeFulls = new Set([...preview.added, ...preview.conflicts].map(({ codeFull }) => codeFull));
+  const queuedCount = new Set(getPendingWrites().map(op => op.codeFull).filter(codeFull => touchedCodeFulls.has(codeFull))).size;
+  const describe = ({ finished, Rating }) => `${finished ? formatDate(finished) : 'not done'}${Rating ? `, ${escapeHtml(Rating)}` : ''}`;
+  const conflictRows = preview.conflicts.map(({ codeFull, file, current }) =>
+    `<tr><td>${escapeHtml(codeFull)}</td><td>${describe(current)}</td><td>${describe(file)}</td></tr>`).join('');
+  document.getElementById('progressImportPreview').innerHTML = `
+    <p><strong>Preview of ${escapeHtml(fileName)}</strong> - nothing has been written yet.</p>
+    <ul>
+      <li>New progress for ${preview.added.length} tasks</li>
+      <li>Conflicts: ${preview.conflicts.length}</li>
+      <li>Unchanged: ${preview.unchangedCount}</li>
+      ${preview.unknownCodeFulls.length > 0 ? `<li>Not in the task list (skipped): ${escapeHtml(preview.unknownCodeFulls.join(', '))}</li>` : ''}
+      ${skippedRows > 0 ? `<li>Rows without codeFull or with an invalid date (skipped): ${skippedRows}</li>` : ''}
+      ${unknownRatings.length > 0 ? `<li>Ratings not on the rating scale (ignored): ${escapeHtml(unknownRatings.join(', '))}</li>` : ''}
+      ${queuedCount > 0 ? `<li>Tasks with unsent changes on this device (shown as current, the import is sent after them): ${queuedCount}</li>` : ''}
+    </ul>
+    ${preview.conflicts.length > 0
+      ? `<details${preview.conflicts.length <= 50 ? ' open' : ''}><summary>Conflicts</summary>
+          <table><tr><th>Task</th><th>Current</th><th>File</th></tr>${conflictRows}</table></details>`
+      : ''}
+  `;
+  document.getElementById('applyProgressImportBtn').disabled = preview.added.length === 0 && preview.conflicts.length === 0;
+}
+
+async function handleProgressImportFileSelected(event) {
+  const file = event.target.files[0];
+  event.target.value = ''; // Allow re-selecting the same file
+  if (!file) return;
+  const previewDiv = document.getElementById('progressImportPreview');
+  document.getElementById('applyProgressImportBtn').disabled = true;
+  pendingProgressImport = null;
+  try {
+    const { entries, skippedRows, unknownRatings } = readProgressFile(await file.text(), file.name);
+    pendingProgressImport = buildProgressImportPreview(entries);
+    renderProgressImportPreview(pendingProgressImport, file.name, skippedRows, unknownRatings);
   } catch (error) {
-      // ... (error handling) ...
+    previewDiv.textContent = `Could not read ${file.name}. Is it a CSV or JSON progress export?`;
+    handleError(`Error reading progress file ${file.name}`, error);
+  }
+}
+
+/* Queue the previewed import, one write per task like any other progress change, so a conflicting
+   change from another device is detected. A file completion becomes an attempt (the history is never
+   shortened), so "overwrite" can replace ratings but not undo completions made after the file was written.
+   "Keep newer" only takes a conflicting entry when its completion is later than the current one. */
+function applyProgressImport() {
+  if (!pendingProgressImport || !currentUser) return;
+  const strategy = document.querySelector('input[name="progressImportStrategy"]:checked').value;
+  const { added, conflicts } = pendingProgressImport;
+  const accepted = [
+    ...added,
+    ...conflicts.filter(({ file, current }) => strategy === 'overwrite' ||
+      (file.finished && (!current.finished || file.finished > current.finished)))
+  ];
+
+  const attemptsCollectionPath = getAttemptsCollectionPath(currentUser.uid);
+  const writes = accepted.map(({ codeFull, file }) => {
+    const write = { codeFull, description: `Import progress of ${codeFull}`, progress: {} };
+    if (file.finished) write.progress.finished = Timestamp.fromDate(file.finished);
+    if (file.Rating || strategy === 'overwrite') write.progress.Rating = file.Rating;
+    const alreadyRecorded = file.finished &&
+      getAttemptHistory(codeFull).some(attempt => attempt.finishedAt.toMillis() === file.finished.getTime());
+    if (file.finished && !alreadyRecorded) {
+      write.attempt = {
+        id: storage.newDocId(attemptsCollectionPath),
+        data: { codeFull, finishedAt: Timestamp.fromDate(file.finished), rating: file.Rating, timeSpentSeconds: null }
+      };
+    }
+    return write;
+  });
+  queueProgressWrites(writes);
+  console.log(`Progress import queued (${strategy}): ${writes.length} tasks.`);
+  closeProgressImportModal();
+}
+
+function openProgressImportModal() {
+  if (!currentUser) {
+    handleError("Sign in to import progress", { message: "No user signed in." });
+    return;
+  }
+  pendingProgressImport = null;
+  document.getElementById('progressImportPreview').innerHTML = '';
+  document.getElementById('applyProgressImportBtn').disabled = true;
+  document.getElementById('progressImportModal').style.display = 'block';
+}
+
+function closeProgressImportModal() {
+  const modal = document.getElementById('progressImportModal');
+  if (modal) modal.style.display = 'none';
+  pendingProgressImport = null;
+}
+
+// --- Keyboard Shortcuts ---
+// Work through tasks without the mouse: move the selection with j/k, open with Enter, rate with the
+// digit keys and mark done with d. Rating and marking done apply to the open done modal, otherwise
+// to the selected row. Shortcuts are ignored while typing in a form field.
+
+const GO_KEY_TIMEOUT_MS = 1500; // Time to press the second key of "g d" / "g p"
+let selectedRowIndex = -1; // Index into getNavigableItemIds(), -1 when nothing is selected
+let goKeyPressedAt = 0;
+
+/* Item IDs of the rows that stand for a task: all rows of the table (most of them aren't rendered,
+   see tableRowModel), or the rows of a random pick */
+function getNavigableItemIds() {
+  if (!showingSingleRandomTask) return tableRowModel.map(row => row.itemId);
+  return [...document.querySelectorAll('#dashboard-body tr[data-item-id]')].map(row => row.dataset.itemId);
+}
+
+/* Mark the selected row. This runs after each render and keeps the position: when a finished task
+   drops out of a filtered table, the next one is selected. */
+function highlightSelectedRow(scrollIntoView = false) {
+  const itemIds = getNavigableItemIds();
+  if (selectedRowIndex >= itemIds.length) selectedRowIndex = itemIds.length - 1;
+  if (scrollIntoView && selectedRowIndex >= 0 && !showingSingleRandomTask) ensureRowRendered(selectedRowIndex);
+  document.querySelectorAll('#dashboard-body tr[data-item-id]').forEach((row, position) => {
+    const index = row.dataset.rowIndex !== undefined ? Number(row.dataset.rowIndex) : position;
+    row.classList.toggle('keyboard-selected', index === selectedRowIndex);
+  });
+  const selectedRow = document.querySelector('#dashboard-body tr.keyboard-selected');
+  if (scrollIntoView && selectedRow) selectedRow.scrollIntoView({ block: 'nearest' });
+}
+
+function moveRowSelection(step) {
+  const itemIds = getNavigableItemIds();
+  if (itemIds.length === 0) return;
+  selectedRowIndex = Math.min(itemIds.length - 1, Math.max(0, selectedRowIndex + step));
+  highlightSelectedRow(true);
+}
+
+function getSelectedRowItem() {
+  const itemId = getNavigableItemIds()[selectedRowIndex];
+  return itemId ? dashboardItems.find(item => item.id === itemId) : null;
+}
+
+function isDoneModalOpen() {
+  return document.getElementById('doneModal').style.display !== 'none';
+}
+
+/* Target of d and the digit keys: the task of the open done modal, otherwise the selected row, whose
+   rating is prefilled like in openDoneModal (without opening it or starting a timer). */
+function selectKeyboardTarget() {
+  if (isDoneModalOpen()) return Boolean(currentItemId);
+  const item = getSelectedRowItem();
+  if (!item) return false;
+  currentItemId = item.id;
+  prefillRatingSelect(item);
+  document.getElementById('timeSpentInput').value = '';
+  return true;
+}
+
+// The digit keys pick the n-th rating of the scale and save it
+function rateWithKey(digit) {
+  const rating = getRatingNames()[digit - 1];
+  if (!rating || !selectKeyboardTarget()) return;
+  document.getElementById('ratingSelect').value = rating;
+  handleSubmitRating({ preventDefault: () => {} });
+}
+
+function markDoneWithKey() {
+  if (selectKeyboardTarget()) handleMarkTaskAsDone();
+}
+
+function toggleShortcutHelp(show) {
+  const help = document.getElementById('shortcutHelp');
+  if (!help) return;
+  help.style.display = (show ?? help.style.display === 'none') ? 'block' : 'none';
+}
+
+function isTypingTarget(element) {
+  return element && (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable);
+}
+
+// Other dialogs (import, clear, conflict) keep their own focus; only Escape and ? work over them
+function isOtherModalOpen() {
+  return [...document.querySelectorAll('.modal')]
+    .some(modal => modal.id !== 'doneModal' && modal.id !== 'shortcutHelp' && modal.style.display !== 'none');
+}
+
+function handleKeyboardShortcut(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return;
+  const key = event.key;
+
+  if (key === '?') {
+    toggleShortcutHelp();
+    event.preventDefault();
+    return;
+  }
+  if (isOtherModalOpen()) return;
+
+  // Second key of a "g" sequence
+  if (goKeyPressedAt && Date.now() - goKeyPressedAt < GO_KEY_TIMEOUT_MS && ['d', 'p', 'e', 'a'].includes(key)) {
+    goKeyPressedAt = 0;
+    if (key === 'd') showDashboard();
+    else if (key === 'p') showProgress();
+    else if (key === 'a') showActivity();
+    else showMockExam();
+    event.preventDefault();
+    return;
   }
+  goKeyPressedAt = 0;
+
+  const modalOpen = isDoneModalOpen();
+  let handled = true;
+  if (key === 'd') {
+    markDoneWithKey();
+  } else if (/^[1-9]$/.test(key)) {
+    rateWithKey(Number(key));
+  } else if (modalOpen) {
+    handled = false; // Navigation keys wait until the modal is closed
+  } else if (key === '/') {
+    document.getElementById('search').focus();
+  } else if (key === 'j' || key === 'ArrowDown') {
+    moveRowSelection(1);
+  } else if (key === 'k' || key === 'ArrowUp') {
+    moveRowSelection(-1);
+  } else if (key === 'Enter' && !event.target.closest('button, a')) { // Enter on a focused button clicks it
+    const row = document.querySelector('#dashboard-body tr.keyboard-selected');
+    if (row) row.click(); // Same as clicking the row: opens the done modal
+  } else if (key === 'r') {
+    pickRandomTask();
+  } else if (key === 'g') {
+    goKeyPressedAt = Date.now();
+  } else {
+    handled = false;
+  }
+  if (handled) event.preventDefault(); // e.g. keep "/" out of the search input it just focused
 }
 
 // --- View Switching ---
@@ -771,6 +5719,8 @@ async function clearAllMarkings() {
 function showDashboard() {
   document.getElementById('dashboardView').style.display = 'block';
   document.getElementById('progressView').style.display = 'none';
+  document.getElementById('mockExamView').style.display = 'none';
+  document.getElementById('activityView').style.display = 'none';
   // If we were showing a single task, reset to show the full table
   if (showingSingleRandomTask) {
       showingSingleRandomTask = false;
@@ -781,23 +5731,49 @@ function showDashboard() {
 function showProgress() {
   document.getElementById('dashboardView').style.display = 'none';
   document.getElementById('progressView').style.display = 'block';
+  document.getElementById('mockExamView').style.display = 'none';
+  document.getElementById('activityView').style.display = 'none';
   updateProgress();
 }
 
+function showMockExam() {
+  document.getElementById('dashboardView').style.display = 'none';
+  document.getElementById('progressView').style.display = 'none';
+  document.getElementById('mockExamView').style.display = 'block';
+  document.getElementById('activityView').style.display = 'none';
+  document.getElementById('mockExamStatus').textContent = '';
+  renderMockExam();
+}
+
+function showActivity() {
+  document.getElementById('dashboardView').style.display = 'none';
+  document.getElementById('progressView').style.display = 'none';
+  document.getElementById('mockExamView').style.display = 'none';
+  document.getElementById('activityView').style.display = 'block';
+  renderActivityFeed();
+}
+
 // --- Event Listeners Setup ---
 
-document.addEventListener('DOMContentLoaded', () => {
+// The module may finish loading after DOMContentLoaded, it waits for createStorage()
+function initializeDashboard() {
   console.log("DOM fully loaded and parsed."); // Debug log
 
-  // Check if db is initialized (add small delay if needed)
-  if (!db) {
-      console.error("Firebase DB not initialized when DOMContentLoaded fired!");
-      handleError("Initialization Error", { message: "Firebase DB not ready."});
-      // You might retry initialization or show a permanent error here
-      return;
+  // Without Firebase everything is stored in this browser, see createStorage()
+  if (!db || !auth) {
+      console.warn("Firebase DB not initialized, falling back to local storage.");
   } else {
        console.log("Firebase DB seems initialized.");
   }
+  console.log(`Using ${storage.name} storage.`);
+
+  // Storage backend switch (Firebase or this browser only)
+  const storageBackendSelect = document.getElementById('storageBackendSelect');
+  if (storageBackendSelect) {
+    storageBackendSelect.value = storage.name;
+    storageBackendSelect.querySelector('option[value="firestore"]').disabled = !isFirebaseConfigured();
+    storageBackendSelect.addEventListener('change', handleStorageBackendChange);
+  }
 
 
   // View Buttons
@@ -806,6 +5782,40 @@ document.addEventListener('DOMContentLoaded', () => {
   if (dashboardBtn) dashboardBtn.addEventListener('click', showDashboard);
   if (progressBtn) progressBtn.addEventListener('click', showProgress);
 
+  // Activity view: filterable feed of changes with a revert button per entry
+  const activityBtn = document.getElementById('activityBtn');
+  const activityFeed = document.getElementById('activityFeed');
+  const activitySearch = document.getElementById('activitySearch');
+  const activityAction = document.getElementById('activityAction');
+  if (activityBtn) activityBtn.addEventListener('click', showActivity);
+  if (activityFeed) activityFeed.addEventListener('click', handleActivityFeedClick);
+  if (activitySearch) activitySearch.addEventListener('input', renderActivityFeed);
+  if (activityAction) activityAction.addEventListener('change', renderActivityFeed);
+
+  // Mock exam view
+  const mockExamBtn = document.getElementById('mockExamBtn');
+  const startMockExamBtn = document.getElementById('startMockExamBtn');
+  const handInMockExamBtn = document.getElementById('handInMockExamBtn');
+  const saveMockExamBtn = document.getElementById('saveMockExamBtn');
+  const discardMockExamBtn = document.getElementById('discardMockExamBtn');
+  if (mockExamBtn) mockExamBtn.addEventListener('click', showMockExam);
+  if (startMockExamBtn) startMockExamBtn.addEventListener('click', startMockExam);
+  if (handInMockExamBtn) handInMockExamBtn.addEventListener('click', lockMockExam);
+  if (saveMockExamBtn) saveMockExamBtn.addEventListener('click', saveMockExamResults);
+  const mockExamTasks = document.getElementById('mockExamTasks');
+  if (mockExamTasks) mockExamTasks.addEventListener('change', handleMockExamResultChange);
+  if (discardMockExamBtn) discardMockExamBtn.addEventListener('click', discardMockExam);
+  tickMockExam(); // Resume the countdown of an exam started before a reload
+  const analyticsBreakdownSelect = document.getElementById('analyticsBreakdown');
+  if (analyticsBreakdownSelect) analyticsBreakdownSelect.addEventListener('change', handleAnalyticsBreakdownChange);
+  const goalSettings = document.getElementById('goalSettings');
+  if (goalSettings) goalSettings.addEventListener('change', handleGoalInputChange);
+  renderGoalInputs();
+  const examDateInput = document.getElementById('examDateInput');
+  const studyPlan = document.getElementById('studyPlan');
+  if (examDateInput) examDateInput.addEventListener('change', handleExamDateChange);
+  if (studyPlan) studyPlan.addEventListener('click', handleStudyPlanClick);
+
   // Action Buttons
   const randomTaskBtn = document.getElementById('randomTask');
   const filterUnfinishedBtn = document.getElementById('filterUnfinished');
@@ -814,25 +5824,118 @@ document.addEventListener('DOMContentLoaded', () => {
     filterUnfinishedBtn.addEventListener('click', () => {
       filterUnfinishedActive = !filterUnfinishedActive;
       filterUnfinishedBtn.textContent = filterUnfinishedActive ? "Show All Tasks" : "Show Unfinished Only";
-      showingSingleRandomTask = false; // Filtering should show the table view
-      renderTable(); // Re-render with current search/filter
+      applyFilters(); // Re-render with current search/filter
     });
   }
 
+  // Due Today filter
+  const filterDueTodayBtn = document.getElementById('filterDueToday');
+  if (filterDueTodayBtn) {
+    filterDueTodayBtn.addEventListener('click', () => {
+      filterDueTodayActive = !filterDueTodayActive;
+      filterDueTodayBtn.textContent = filterDueTodayActive ? "Show All Tasks" : "Show Due Today";
+      applyFilters();
+    });
+  }
+
+  // Picker config panel (constraints and new-task ratio, stored per browser)
+  const pickerSettingsBtn = document.getElementById('pickerSettingsBtn');
+  const pickerConfigPanel = document.getElementById('pickerConfigPanel');
+  const pickerResetBtn = document.getElementById('pickerResetBtn');
+  if (pickerSettingsBtn) pickerSettingsBtn.addEventListener('click', togglePickerConfigPanel);
+  if (pickerConfigPanel) pickerConfigPanel.addEventListener('change', handlePickerConfigChange);
+  if (pickerResetBtn) pickerResetBtn.addEventListener('click', resetPickerConfig);
+
+  // Sync indicator, pending-writes list and conflict modal
+  const syncStatus = document.getElementById('syncStatus');
+  const retrySyncBtn = document.getElementById('retrySyncBtn');
+  const keepMineBtn = document.getElementById('keepMineBtn');
+  const keepTheirsBtn = document.getElementById('keepTheirsBtn');
+  if (syncStatus) syncStatus.addEventListener('click', togglePendingWritesPanel);
+  if (retrySyncBtn) retrySyncBtn.addEventListener('click', flushOutbox);
+  if (keepMineBtn) keepMineBtn.addEventListener('click', () => resolveConflict('mine'));
+  if (keepTheirsBtn) keepTheirsBtn.addEventListener('click', () => resolveConflict('theirs'));
+  window.addEventListener('online', flushOutbox);
+  window.addEventListener('offline', updateSyncIndicator);
+  updateSyncIndicator();
+
+  // Column chooser
+  const columnsBtn = document.getElementById('columnsBtn');
+  if (columnsBtn) columnsBtn.addEventListener('click', toggleColumnChooser);
+
   // Search Input
   const searchInput = document.getElementById('search');
   if (searchInput) {
-    searchInput.addEventListener('input', (event) => {
-      currentSearchTerm = event.target.value; // Store search term
-      showingSingleRandomTask = false; // Searching should show the table view
-      renderTable(); // Re-render with current search/filter
-    });
+    searchInput.addEventListener('input', handleSearchInput); // Re-render with current search/filter once typing pauses
   }
 
+  // Rows of the virtualized table are rendered as they scroll into view
+  const tableScroller = document.getElementById('tableScroller');
+  if (tableScroller) tableScroller.addEventListener('scroll', () => renderVisibleRows());
+
+  // Filter bar (section, rating, release year, finished date range); state is kept in the URL hash
+  const filterBar = document.getElementById('filterBar');
+  const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+  if (filterBar) filterBar.addEventListener('change', handleFilterBarChange);
+  if (clearFiltersBtn) clearFiltersBtn.addEventListener('click', clearFilters);
+  readFiltersFromHash();
+  renderFilterBar();
+  window.addEventListener('hashchange', () => {
+    readFiltersFromHash();
+    renderFilterBar();
+    showingSingleRandomTask = false;
+    renderTable();
+  });
+
   // Done Modal Buttons
   const markDoneBtn = document.getElementById('markDoneButton');
   const closeModalBtn = document.getElementById('closeModal');
   if (markDoneBtn) markDoneBtn.addEventListener('click', handleMarkTaskAsDone);
+
+  // Catalogue editing mode
+  const adminModeBtn = document.getElementById('adminModeBtn');
+  const addTaskForm = document.getElementById('addTaskForm');
+  if (adminModeBtn) adminModeBtn.addEventListener('click', toggleAdminMode);
+  if (addTaskForm) addTaskForm.addEventListener('submit', handleAddTaskSubmit);
+
+  // Task content viewer, opened from the done modal
+  const viewTaskBtn = document.getElementById('viewTaskBtn');
+  const viewerSubItem = document.getElementById('viewerSubItem');
+  const viewerShowSolution = document.getElementById('viewerShowSolution');
+  const closeTaskViewerBtn = document.getElementById('closeTaskViewer');
+  if (viewTaskBtn) viewTaskBtn.addEventListener('click', () => openTaskViewer(getModalCodeFull()));
+  if (viewerSubItem) viewerSubItem.addEventListener('change', renderTaskViewer);
+  if (viewerShowSolution) viewerShowSolution.addEventListener('change', renderTaskViewer);
+  if (closeTaskViewerBtn) closeTaskViewerBtn.addEventListener('click', closeTaskViewer);
+
+  // Tags in the done modal, rating scale editor
+  const tagsInput = document.getElementById('tagsInput');
+  const ratingScaleBtn = document.getElementById('ratingScaleBtn');
+  const ratingScalePanel = document.getElementById('ratingScalePanel');
+  if (tagsInput) tagsInput.addEventListener('change', handleTagsChange);
+  if (ratingScaleBtn) ratingScaleBtn.addEventListener('click', toggleRatingScalePanel);
+  if (ratingScalePanel) ratingScalePanel.addEventListener('click', handleRatingScaleClick);
+
+  // Notes and attachments in the done modal
+  const notesInput = document.getElementById('notesInput');
+  const saveNotesBtn = document.getElementById('saveNotesBtn');
+  const attachmentInput = document.getElementById('attachmentInput');
+  const attachmentList = document.getElementById('attachmentList');
+  if (notesInput) notesInput.addEventListener('input', renderNotesPreview);
+  if (saveNotesBtn) saveNotesBtn.addEventListener('click', saveNotes);
+  if (attachmentInput) attachmentInput.addEventListener('change', handleAttachmentSelect);
+  if (attachmentList) attachmentList.addEventListener('click', handleAttachmentListClick);
+
+  // Task timer (modal line and floating bar)
+  const modalTimer = document.getElementById('modalTimer');
+  const timerToggleBtn = document.getElementById('timerToggleBtn');
+  const timerOpenBtn = document.getElementById('timerOpenBtn');
+  const timerStopBtn = document.getElementById('timerStopBtn');
+  if (modalTimer) modalTimer.addEventListener('click', handleModalTimerClick);
+  if (timerToggleBtn) timerToggleBtn.addEventListener('click', toggleTaskTimerPause);
+  if (timerOpenBtn) timerOpenBtn.addEventListener('click', openTimedTask);
+  if (timerStopBtn) timerStopBtn.addEventListener('click', stopTaskTimer);
+  renderTaskTimer();
   if (closeModalBtn) closeModalBtn.addEventListener('click', closeDoneModal);
 
 
@@ -848,19 +5951,85 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Clear DB Button
   const clearDbBtn = document.getElementById('clear-db');
-  if (clearDbBtn) clearDbBtn.addEventListener('click', clearAllMarkings);
+  if (clearDbBtn) clearDbBtn.addEventListener('click', openClearModal);
+
+  // Clear Modal
+  const clearWhatSelect = document.getElementById('clearWhat');
+  const clearSectionSelect = document.getElementById('clearSection');
+  const confirmClearBtn = document.getElementById('confirmClearBtn');
+  const closeClearBtn = document.getElementById('closeClearModal');
+  const undoClearBtn = document.getElementById('undoClearBtn');
+  if (clearWhatSelect) clearWhatSelect.addEventListener('change', updateClearSummary);
+  if (clearSectionSelect) clearSectionSelect.addEventListener('change', updateClearSummary);
+  if (confirmClearBtn) confirmClearBtn.addEventListener('click', () => clearAllMarkings(getSelectedClearScope()));
+  if (closeClearBtn) closeClearBtn.addEventListener('click', closeClearModal);
+  if (undoClearBtn) undoClearBtn.addEventListener('click', undoClearMarkings);
+
+  // Download DB Button
+  const downloadDbBtn = document.getElementById('downloadDbBtn');
+  if (downloadDbBtn) downloadDbBtn.addEventListener('click', downloadUpdatedDb);
+
+  // CSV/JSON export and progress import
+  const exportBtn = document.getElementById('exportBtn');
+  const importProgressBtn = document.getElementById('importProgressBtn');
+  const progressImportFileInput = document.getElementById('progressImportFileInput');
+  const applyProgressImportBtn = document.getElementById('applyProgressImportBtn');
+  const closeProgressImportBtn = document.getElementById('closeProgressImportModal');
+  if (exportBtn) exportBtn.addEventListener('click', exportProgress);
+  if (importProgressBtn) importProgressBtn.addEventListener('click', openProgressImportModal);
+  if (progressImportFileInput) progressImportFileInput.addEventListener('change', handleProgressImportFileSelected);
+  if (applyProgressImportBtn) applyProgressImportBtn.addEventListener('click', applyProgressImport);
+  if (closeProgressImportBtn) closeProgressImportBtn.addEventListener('click', closeProgressImportModal);
+
+  // Import Modal
+  const importDbBtn = document.getElementById('importDbBtn');
+  const importFileInput = document.getElementById('importFileInput');
+  const importBundledBtn = document.getElementById('importBundledBtn');
+  const applyImportBtn = document.getElementById('applyImportBtn');
+  const closeImportBtn = document.getElementById('closeImportModal');
+  if (importDbBtn) importDbBtn.addEventListener('click', openImportModal);
+  if (importFileInput) importFileInput.addEventListener('change', handleImportFileSelected);
+  if (importBundledBtn) importBundledBtn.addEventListener('click', handleImportBundledDb);
+  if (applyImportBtn) applyImportBtn.addEventListener('click', applyImport);
+  if (closeImportBtn) closeImportBtn.addEventListener('click', closeImportModal);
+
+  // Authentication
+  const signInForm = document.getElementById('signInForm');
+  const registerBtn = document.getElementById('registerBtn');
+  const guestSignInBtn = document.getElementById('guestSignInBtn');
+  const signOutBtn = document.getElementById('signOutBtn');
+  if (signInForm) signInForm.addEventListener('submit', handleSignIn);
+  if (registerBtn) registerBtn.addEventListener('click', handleRegister);
+  if (guestSignInBtn) guestSignInBtn.addEventListener('click', handleGuestSignIn);
+  if (signOutBtn) signOutBtn.addEventListener('click', handleSignOut);
 
   // Initial setup
   showDashboard(); // Show dashboard by default
-  listenForDataUpdates(); // Start listening for Firestore updates
+  listenForDataUpdates(); // Start listening for catalogue updates
+  storage.watchUser(handleAuthStateChanged); // Loads the user's progress once signed in
 
   // Global listener for Escape key to close modals
   document.addEventListener('keydown', (event) => {
     if (event.key === "Escape") {
       closeDoneModal();
-      closeRatingModal(); // Close this too if it's separate
+      closeTaskViewer();
+      closeImportModal();
+      closeProgressImportModal();
+      closeClearModal();
+      toggleShortcutHelp(false);
     }
   });
+  document.addEventListener('keydown', handleKeyboardShortcut);
+  const shortcutHelpBtn = document.getElementById('shortcutHelpBtn');
+  const closeShortcutHelpBtn = document.getElementById('closeShortcutHelp');
+  if (shortcutHelpBtn) shortcutHelpBtn.addEventListener('click', () => toggleShortcutHelp(true));
+  if (closeShortcutHelpBtn) closeShortcutHelpBtn.addEventListener('click', () => toggleShortcutHelp(false));
 
    console.log("Event listeners attached."); // Debug log
-});
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeDashboard);
+} else {
+  initializeDashboard();
+}